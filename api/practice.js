@@ -0,0 +1,138 @@
+// Serverless function for Vercel running practice interviews: the officer's
+// questions, feedback on each spoken answer, and the final scored summary.
+// The answers themselves are transcribed through /api/streaming-proxy.
+const { SUPPORTED_LANGUAGES } = require('../lib/analysis');
+const { PRACTICE_TOPICS, askPracticeQuestion, reviewPracticeAnswer, summarizePractice } = require('../lib/practice');
+const { redactText } = require('../lib/redaction');
+const { applyCors, createRateLimiter, clientIp } = require('../lib/access');
+
+// Every request is an LLM call, so limit them per IP
+const requestLimiter = createRateLimiter({
+  limit: parseInt(process.env.RATE_LIMIT_PRACTICE_PER_MINUTE, 10) || 30,
+  windowMs: 60 * 1000
+});
+
+const MAX_TEXT_LENGTH = 1000;
+
+module.exports = async (req, res) => {
+  // Set CORS headers, refusing pages on origins that aren't allowed
+  const originAllowed = applyCors(req, res, {
+    methods: "POST, OPTIONS",
+    headers: "Content-Type"
+  });
+  if (!originAllowed) {
+    return res.status(403).json({ error: 'Origin not allowed' });
+  }
+
+  // Handle preflight OPTIONS request
+  if (req.method === "OPTIONS") {
+    return res.status(200).end();
+  }
+
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  requestLimiter.prune();
+  const limit = requestLimiter.hit(clientIp(req));
+  if (!limit.allowed) {
+    const retryAfter = Math.ceil(limit.retryAfterMs / 1000);
+    res.setHeader('Retry-After', retryAfter);
+    return res.status(429).json({ error: 'Too many practice requests', retryAfter });
+  }
+
+  const { action, language = 'en' } = req.body || {};
+  if (!SUPPORTED_LANGUAGES[language]) {
+    return res.status(400).json({ error: 'Unsupported language' });
+  }
+
+  const turns = sanitizeTurns(req.body && req.body.turns);
+  if (!turns) {
+    return res.status(400).json({ error: 'Invalid practice turns' });
+  }
+
+  try {
+    // The officer's question on the next topic not yet covered
+    if (action === 'question') {
+      if (turns.length >= PRACTICE_TOPICS.length) {
+        return res.status(200).json({ status: 'succeeded', done: true });
+      }
+
+      const topic = PRACTICE_TOPICS[turns.length];
+      const result = await askPracticeQuestion({ topicId: topic.id, turns });
+      if (!result) {
+        return res.status(502).json({ status: 'failed', error: 'Could not get the next question' });
+      }
+
+      return res.status(200).json({
+        status: 'succeeded',
+        done: false,
+        topic: topic.id,
+        question: result.question,
+        remaining: PRACTICE_TOPICS.length - turns.length - 1
+      });
+    }
+
+    // Feedback on the answer to the last question
+    if (action === 'feedback') {
+      const { question, answer } = req.body;
+      if (!isText(question) || !isText(answer, true)) {
+        return res.status(400).json({ error: 'Missing question or answer' });
+      }
+
+      const feedback = await reviewPracticeAnswer({
+        question,
+        answer: redactText(answer).text,
+        language
+      });
+      if (!feedback) {
+        return res.status(502).json({ status: 'failed', error: 'Could not review the answer' });
+      }
+
+      return res.status(200).json({ status: 'succeeded', feedback });
+    }
+
+    // Scored summary once every topic has been covered
+    if (action === 'summary') {
+      if (turns.length === 0) {
+        return res.status(400).json({ error: 'No answers to summarize' });
+      }
+
+      const summary = await summarizePractice({ turns, language });
+      if (!summary) {
+        return res.status(502).json({ status: 'failed', error: 'Could not summarize the practice' });
+      }
+
+      return res.status(200).json({ status: 'succeeded', summary });
+    }
+
+    return res.status(400).json({ error: `Unsupported action: ${action || 'none'}` });
+  } catch (error) {
+    console.error('Error in practice handler:', error);
+    return res.status(500).json({ status: 'failed', error: error.message });
+  }
+};
+
+function isText(value, allowEmpty = false) {
+  return typeof value === 'string' && (allowEmpty || value.trim() !== '') && value.length <= MAX_TEXT_LENGTH;
+}
+
+// Accept only [{ question, answer, feedback? }], one per topic at most, with
+// answers redacted like every other transcript sent to the LLM
+function sanitizeTurns(turns) {
+  if (turns === undefined) return [];
+  if (!Array.isArray(turns) || turns.length > PRACTICE_TOPICS.length) return null;
+
+  const sanitized = [];
+  for (const turn of turns) {
+    if (!turn || !isText(turn.question) || !isText(turn.answer, true)) return null;
+
+    const feedback = turn.feedback && ['clarity', 'completeness', 'tone'].every(key => typeof turn.feedback[key] === 'number') ?
+      { clarity: turn.feedback.clarity, completeness: turn.feedback.completeness, tone: turn.feedback.tone } :
+      null;
+
+    sanitized.push({ question: turn.question, answer: redactText(turn.answer).text, feedback });
+  }
+
+  return sanitized;
+}
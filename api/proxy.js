@@ -1,177 +1,154 @@
-// File: api/streaming-proxy.js
-// This will be a Vercel Edge Function to handle WebSocket connections
-
-import { WebSocketHandler } from '@vercel/edge';
-import WebSocket from 'ws';
-
-// Initialize the WebSocket handler
-export default WebSocketHandler(async (req, socket) => {
-  // Authenticate the client if needed
-  // You could check for authorization headers here
-  
-  // Set up connection to Deepgram's streaming API
-  const deepgramSocket = new WebSocket('wss://api.deepgram.com/v1/listen?model=nova-2-phonecall&diarize=true&punctuate=true&min_speakers=2&max_speakers=2&encoding=linear16&sample_rate=16000', {
-    headers: {
-      Authorization: `Token ${process.env.DEEPGRAM_API_KEY}`
-    }
-  });
-  
-  // When Deepgram connection is established
-  deepgramSocket.on('open', () => {
-    console.log('Connected to Deepgram WebSocket');
-    
-    // Tell the client we're ready
-    socket.send(JSON.stringify({ 
-      type: 'connected', 
-      message: 'Connected to transcription service' 
-    }));
-  });
-  
-  // Handle messages from Deepgram
-  deepgramSocket.on('message', (data) => {
-    try {
-      const response = JSON.parse(data);
-      
-      // Forward the transcription data to the client
-      socket.send(JSON.stringify({
-        type: 'transcription',
-        data: response
-      }));
-      
-      // If this is the final result, also process with Groq for analysis
-      if (response.is_final && response.channel && response.channel.alternatives && 
-          response.channel.alternatives[0] && response.channel.alternatives[0].transcript) {
-        
-        processWithGroq(response.channel.alternatives[0], socket);
-      }
-    } catch (error) {
-      console.error('Error processing Deepgram message:', error);
-    }
+// Serverless function for Vercel handling batch (non-streaming) transcription
+const { getSTTProvider } = require('../lib/stt');
+const { SUPPORTED_LANGUAGES, analyzeTranscript } = require('../lib/analysis');
+const { groupWordsBySpeaker, speakerLabel } = require('../lib/transcript');
+const { redactText } = require('../lib/redaction');
+const { applyCors, createRateLimiter, clientIp } = require('../lib/access');
+
+// Each request is a whole recording sent to STT and the LLM, so allow far fewer
+// than the streaming endpoint's per-chunk POSTs
+const transcribeLimiter = createRateLimiter({      // transcriptions per IP per minute
+  limit: parseInt(process.env.RATE_LIMIT_TRANSCRIBE_PER_MINUTE, 10) || 10,
+  windowMs: 60 * 1000
+});
+
+module.exports = async (req, res) => {
+  // Set CORS headers, refusing pages on origins that aren't allowed
+  const originAllowed = applyCors(req, res, {
+    methods: "POST, OPTIONS",
+    headers: "Content-Type"
   });
-  
-  // Handle messages from the client
-  socket.on('message', (message) => {
+  if (!originAllowed) {
+    return res.status(403).json({ error: 'Origin not allowed' });
+  }
+
+  // Handle preflight OPTIONS request
+  if (req.method === "OPTIONS") {
+    return res.status(200).end();
+  }
+
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  transcribeLimiter.prune();
+  const limit = transcribeLimiter.hit(clientIp(req));
+  if (!limit.allowed) {
+    const retryAfter = Math.ceil(limit.retryAfterMs / 1000);
+    res.setHeader('Retry-After', retryAfter);
+    return res.status(429).json({ error: 'Too many transcription requests', code: 'rate-limited', retryAfter });
+  }
+
+  const type = req.query && req.query.type;
+  if (type !== 'transcribe') {
+    return res.status(400).json({ error: `Unsupported request type: ${type || 'none'}` });
+  }
+
+  const { audioData, language = 'en', keepOriginal = false } = req.body || {};
+  if (!audioData || typeof audioData !== 'string') {
+    return res.status(400).json({ error: 'Missing audio data' });
+  }
+
+  if (!SUPPORTED_LANGUAGES[language]) {
+    return res.status(400).json({ error: 'Unsupported language' });
+  }
+
+  const audio = decodeDataUrl(audioData);
+  if (!audio) {
+    return res.status(400).json({ error: 'Audio data is not valid base64' });
+  }
+
+  try {
+    // Transcribe the whole recording with the configured STT provider
+    let transcription;
     try {
-      // Check if it's a text message (like a command)
-      if (typeof message === 'string') {
-        const data = JSON.parse(message);
-        
-        if (data.type === 'close') {
-          // Client wants to close connection
-          deepgramSocket.close();
-        }
-      } else {
-        // It's an audio chunk, forward it to Deepgram
-        if (deepgramSocket.readyState === WebSocket.OPEN) {
-          deepgramSocket.send(message);
-        }
-      }
+      transcription = await getSTTProvider().transcribeFile(audio);
     } catch (error) {
-      console.error('Error processing client message:', error);
+      console.error('Transcription failed:', error);
+      return res.status(502).json({ status: 'failed', error: 'Transcription service error' });
     }
-  });
-  
-  // Handle client disconnection
-  socket.on('close', () => {
-    console.log('Client disconnected');
-    // Close the Deepgram connection
-    if (deepgramSocket.readyState === WebSocket.OPEN) {
-      deepgramSocket.close();
-    }
-  });
-  
-  // Handle errors
-  socket.on('error', (error) => {
-    console.error('WebSocket error:', error);
-  });
-  
-  deepgramSocket.on('error', (error) => {
-    console.error('Deepgram WebSocket error:', error);
-    socket.send(JSON.stringify({
-      type: 'error',
-      message: 'Transcription service error'
-    }));
-  });
-});
 
-// Process transcription with Groq for analysis
-async function processWithGroq(transcriptionData, socket) {
-  try {
-    const transcript = transcriptionData.transcript;
-    if (!transcript || transcript.trim() === '') return;
-    
-    // Create formatted segments from the words
-    const words = transcriptionData.words || [];
-    const formattedSegments = [];
-    let currentSegment = { text: '', start: 0, end: 0, speaker: -1 };
-    
-    words.forEach(word => {
-      if (currentSegment.speaker === -1 || currentSegment.speaker !== word.speaker) {
-        if (currentSegment.speaker !== -1) {
-          formattedSegments.push(currentSegment);
-        }
-        
-        currentSegment = {
-          text: word.word,
-          start: word.start,
-          end: word.end,
-          speaker: word.speaker
-        };
-      } else {
-        currentSegment.text += ' ' + word.word;
-        currentSegment.end = word.end;
+    const segments = groupWordsBySpeaker(transcription.words);
+    const roles = assignRoles(segments);
+
+    // Personal data is masked before analysis. The response only goes back to
+    // the device that recorded it, so it may keep the unredacted text if asked.
+    const redactedSegments = segments.map(segment => ({ ...segment, text: redactText(segment.text).text }));
+
+    // Analysis is best-effort: a Groq failure still returns the transcript
+    const llmAnalysis = await processWithGroq(redactedSegments, roles, language);
+
+    return res.status(200).json({
+      status: 'succeeded',
+      output: {
+        transcript: keepOriginal === true ? transcription.transcript : redactText(transcription.transcript).text,
+        segments: keepOriginal === true ? segments : redactedSegments,
+        roles,
+        llmAnalysis
       }
     });
-    
-    if (currentSegment.speaker !== -1) {
-      formattedSegments.push(currentSegment);
-    }
-    
-    // Prepare the transcript with speakers
-    let transcriptWithSpeakers = '';
-    formattedSegments.forEach(segment => {
-      transcriptWithSpeakers += `Speaker ${segment.speaker}: ${segment.text}\n`;
-    });
-    
-    // Call Groq for analysis
-    const groqResponse = await fetch('https://api.groq.com/openai/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${process.env.GROQ_API_KEY}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        model: 'llama3-8b-8192',
-        messages: [
-          {
-            role: 'system',
-            content: 'You are an AI assistant that summarizes and analyses spoken text in real-time. Extract key points, identify topics, and provide insights from conversations between multiple speakers. Keep your analysis concise and focused on the most recent statements.'
-          },
-          {
-            role: 'user',
-            content: `Analyze this fragment of an ongoing conversation:\n\n${transcriptWithSpeakers}`
-          }
-        ],
-        temperature: 0.7,
-        max_tokens: 250
-      })
-    });
-    
-    if (groqResponse.ok) {
-      const groqData = await groqResponse.json();
-      const analysis = groqData.choices?.[0]?.message?.content || null;
-      
-      // Send the analysis to the client
-      socket.send(JSON.stringify({
-        type: 'analysis',
-        data: {
-          transcript,
-          segments: formattedSegments,
-          analysis
-        }
-      }));
-    }
   } catch (error) {
-    console.error('Error processing with Groq:', error);
+    console.error('Error in transcribe handler:', error);
+    return res.status(500).json({ status: 'failed', error: error.message });
+  }
+};
+
+// Decode a data URL (or bare base64 string) into a buffer and its mimetype
+function decodeDataUrl(audioData) {
+  let mimetype = 'audio/webm';
+  let base64String = audioData;
+
+  const match = audioData.match(/^data:([^;,]*)(?:;[^,]*)?,(.*)$/s);
+  if (match) {
+    // Browsers append codec parameters (audio/webm;codecs=opus); providers only need the type
+    mimetype = match[1] || mimetype;
+    base64String = match[2];
+  }
+
+  if (!base64String || !/^[A-Za-z0-9+/=\s]+$/.test(base64String)) {
+    return null;
+  }
+
+  const buffer = Buffer.from(base64String, 'base64');
+  if (buffer.length === 0) {
+    return null;
   }
-}
\ No newline at end of file
+
+  return { buffer, mimetype };
+}
+
+// There is no live enrollment for a batch recording, so assume the officer
+// speaks first (they open the interview) and the next voice is the traveller
+function assignRoles(segments) {
+  const roles = {};
+
+  segments.forEach(segment => {
+    if (segment.speaker in roles) return;
+
+    const assigned = Object.keys(roles).length;
+    if (assigned === 0) {
+      roles[segment.speaker] = 'officer';
+    } else if (assigned === 1) {
+      roles[segment.speaker] = 'traveller';
+    }
+  });
+
+  return roles;
+}
+
+// Process the diarized transcript with Groq for analysis
+async function processWithGroq(segments, roles, language) {
+  if (segments.length === 0) return null;
+
+  // Prepare the transcript with speakers
+  let transcriptWithSpeakers = '';
+  segments.forEach(segment => {
+    transcriptWithSpeakers += `${speakerLabel(roles, segment.speaker)}: ${segment.text}\n`;
+  });
+
+  return analyzeTranscript({
+    transcript: transcriptWithSpeakers,
+    language,
+    purpose: 'batch'
+  });
+}
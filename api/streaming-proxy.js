@@ -1,21 +1,89 @@
 // Serverless function for Vercel using Ably for real-time streaming
 const Ably = require('ably');
-const { Deepgram } = require('@deepgram/sdk');
+const { getSTTProvider } = require('../lib/stt');
+const { SUPPORTED_LANGUAGES, analyzeTranscript } = require('../lib/analysis');
+const { createConversation, addUtterance, addSuggestion, buildContext } = require('../lib/conversation');
+const { groupWordsBySpeaker, speakerLabel } = require('../lib/transcript');
+const { redactText } = require('../lib/redaction');
+const { detectDocumentRequest } = require('../lib/documents');
+const { applyCors, createSessionId, issueSessionTicket, verifySessionTicket, createRateLimiter, clientIp } = require('../lib/access');
 
 let ablyClient = null;
-let deepgramSessions = {};
+let streamingSessions = {};
+
+// Per-session settings sent by the client (e.g. which speaker is the officer).
+// Kept apart from streamingSessions because they can arrive before the first audio.
+let sessionSettings = {};
+
+
+// Session IDs are embedded in channel names and token capabilities, so keep them simple
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Each session gets its own channels, e.g. session:<id>:transcript
+function sessionChannelName(sessionId, kind) {
+  return `session:${sessionId}:${kind}`;
+}
+
+// Sessions that receive no audio for this long are closed by the sweep
+const SESSION_IDLE_TIMEOUT_MS = parseInt(process.env.SESSION_IDLE_TIMEOUT_MS, 10) || 30000;
+const SESSION_SWEEP_INTERVAL_MS = 10000;
+
+// How many out-of-order chunks (250 ms each) to hold before skipping a missing one
+const MAX_PENDING_CHUNKS = 8;
+
+// Streamed analysis text is published at most this often, to stay well within
+// Ably's per-connection message rate
+const ANALYSIS_DELTA_INTERVAL_MS = 100;
+
+// Reconnecting to the STT provider when its stream drops: backoff between
+// attempts, and how much untranscribed audio to keep for replaying
+const MAX_RESUME_ATTEMPTS = 5;
+const RESUME_BASE_DELAY_MS = 500;
+const RESUME_MAX_DELAY_MS = 8000;
+const RESUME_BUFFER_SECONDS = 30;
+
+// Sessions are closed this long after their first audio, however active they are
+const MAX_SESSION_DURATION_MS = parseInt(process.env.MAX_SESSION_DURATION_MS, 10) || 30 * 60 * 1000;
+
+// Rate limits, counted in this instance's memory like the sessions themselves
+const tokenLimiter = createRateLimiter({      // tokens and tickets per IP per minute
+  limit: parseInt(process.env.RATE_LIMIT_TOKENS_PER_MINUTE, 10) || 30,
+  windowMs: 60 * 1000
+});
+const sessionLimiter = createRateLimiter({    // new STT sessions per IP per hour
+  limit: parseInt(process.env.RATE_LIMIT_SESSIONS_PER_HOUR, 10) || 20,
+  windowMs: 60 * 60 * 1000
+});
+const requestLimiter = createRateLimiter({    // POSTs per IP per minute
+  limit: parseInt(process.env.RATE_LIMIT_REQUESTS_PER_MINUTE, 10) || 600,
+  windowMs: 60 * 1000
+});
+const chunkLimiter = createRateLimiter({      // audio chunks per session per 10s (40 in real time)
+  limit: parseInt(process.env.RATE_LIMIT_CHUNKS_PER_10S, 10) || 80,
+  windowMs: 10 * 1000
+});
+
+// Sweep idle sessions for as long as this instance stays warm
+setInterval(sweepIdleSessions, SESSION_SWEEP_INTERVAL_MS).unref();
 
 module.exports = async (req, res) => {
-  // Set CORS headers
-  res.setHeader("Access-Control-Allow-Origin", "*");
-  res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+  // Set CORS headers, refusing pages on origins that aren't allowed
+  const originAllowed = applyCors(req, res, {
+    methods: "GET, POST, OPTIONS",
+    headers: "Content-Type, X-Session-Ticket"
+  });
+  if (!originAllowed) {
+    return res.status(403).json({ error: 'Origin not allowed' });
+  }
 
   // Handle preflight OPTIONS request
   if (req.method === "OPTIONS") {
     return res.status(200).end();
   }
 
+  // Serverless timers are not guaranteed to fire, so also sweep on every request
+  sweepIdleSessions();
+
   // Initialize Ably client if not already done
   if (!ablyClient) {
     try {
@@ -30,11 +98,40 @@ module.exports = async (req, res) => {
     }
   }
 
-  // GET request - client requesting Ably token
+  // GET request - client starting a session, or renewing the Ably token for one
   if (req.method === "GET") {
+    const requestedId = req.query && req.query.sessionId;
+    if (requestedId && !SESSION_ID_PATTERN.test(requestedId)) {
+      return res.status(400).json({ error: 'Invalid session ID' });
+    }
+
+    const limit = tokenLimiter.hit(clientIp(req));
+    if (!limit.allowed) {
+      return rejectRateLimited(res, limit, 'Too many token requests');
+    }
+
+    // Only whoever started a session can get tokens for it: renewing takes the
+    // session's ticket, and new sessions get an ID from us
+    if (requestedId && !verifySessionTicket(requestedId, req.headers['x-session-ticket'])) {
+      return res.status(401).json({ error: 'Missing or expired session ticket' });
+    }
+
+    const sessionId = requestedId || createSessionId();
+
+    // The ticket authorizes this browser's uploads and actions for the session
+    const issued = issueSessionTicket(sessionId);
+    if (!issued) {
+      return res.status(500).json({ error: 'Session tickets are not configured' });
+    }
+
     try {
-      // Create an Ably token for the client
-      const tokenParams = { clientId: `client-${Date.now()}` };
+      // The token may only subscribe to this session's channels. No clientId is
+      // set so the browser can re-authorize for its next session on the same connection.
+      const tokenParams = {
+        capability: JSON.stringify({
+          [sessionChannelName(sessionId, '*')]: ['subscribe']
+        })
+      };
       ablyClient.auth.createTokenRequest(tokenParams, (err, tokenRequest) => {
         if (err) {
           console.error('Error creating Ably token:', err);
@@ -42,7 +139,10 @@ module.exports = async (req, res) => {
         }
         
         return res.status(200).json({ 
+          sessionId,
           tokenRequest,
+          ticket: issued.ticket,
+          ticketExpiresAt: issued.expiresAt,
           status: 'success',
           message: 'Streaming is available'
         });
@@ -52,104 +152,147 @@ module.exports = async (req, res) => {
       return res.status(500).json({ error: error.message });
     }
   } 
-  // POST request - handling audio chunks
+  // POST request - binary audio chunks, or JSON session actions
   else if (req.method === "POST") {
     try {
-      const { sessionId, audioData, isFirstChunk } = req.body;
-      
-      if (!sessionId) {
-        return res.status(400).json({ error: 'Missing session ID' });
-      }
-      
-      // If first chunk or session doesn't exist, create a new Deepgram session
-      if (isFirstChunk || !deepgramSessions[sessionId]) {
-        // Initialize Deepgram
-        const deepgram = new Deepgram(process.env.DEEPGRAM_API_KEY);
-        
-        const deepgramLive = deepgram.transcription.live({
-          punctuate: true,
-          smart_format: true,
-          diarize: true,
-          min_speakers: 2,
-          max_speakers: 6,
-          encoding: "linear16",
-          sample_rate: 16000,
-          channels: 1
-        });
-        
-        // Create channels
-        const fromClientChannel = ablyClient.channels.get('request-channel');
-        const broadcastChannel = ablyClient.channels.get('transcript-channel');
-        
-        // Set up listeners
-// In your streaming-proxy.js, update the transcriptReceived handler
-
-deepgramLive.addListener("transcriptReceived", (transcription) => {
-  try {
-    const data = JSON.parse(transcription);
-    if (data.channel == null) return;
-    
-    const transcript = data.channel.alternatives[0].transcript;
-    if (!transcript || transcript.trim() === '') return;
-    
-    // Extract speaker information if available
-    let speakerId = 0;
-    const words = data.channel.alternatives[0].words || [];
-    
-    if (words.length > 0 && 'speaker' in words[0]) {
-      speakerId = words[0].speaker;
+      // Audio arrives as a raw PCM body with the session and sequence number in the query
+      const isAudioChunk = Buffer.isBuffer(req.body);
+      const params = isAudioChunk ? req.query : (req.body || {});
+      const { sessionId, action } = params;
       
-      // Log speaker info for debugging
-      console.log(`Speaker ID detected: ${speakerId} for text: "${transcript.substring(0, 30)}..."`);
-    }
-    
-    // Publish with speaker information 
-    broadcastChannel.publish('transcription', {
-      sessionId: sessionId,
-      text: transcript,
-      speaker: speakerId,
-      start: data.start || 0,
-      end: data.end || 0
-    });
-    
-    console.log(`Published transcript with speaker ${speakerId}: "${transcript}"`);
-    
-    if (transcript.length > 10) {
-      processWithGroq(transcript, sessionId);
-    }
-  } catch (error) {
-    console.error('Error processing transcript:', error);
-  }
-});
-        
-        deepgramLive.addListener("error", (err) => {
-          console.error('Deepgram error:', err);
+      if (!sessionId || !SESSION_ID_PATTERN.test(sessionId)) {
+        return res.status(400).json({ error: 'Missing or invalid session ID' });
+      }
+      
+      if (!verifySessionTicket(sessionId, req.headers['x-session-ticket'])) {
+        return res.status(401).json({ error: 'Missing or expired session ticket' });
+      }
+      
+      const requestLimit = requestLimiter.hit(clientIp(req));
+      if (!requestLimit.allowed) {
+        return rejectRateLimited(res, requestLimit, 'Too many requests');
+      }
+      
+      // Client is done recording - flush final transcripts and close the stream
+      if (action === 'end') {
+        const ended = endSession(sessionId, 'ended');
+        return res.status(200).json({ success: true, ended });
+      }
+      
+      // Client is silent but still recording - keep the STT stream open
+      if (action === 'keepalive') {
+        const alive = keepSessionAlive(sessionId);
+        return res.status(200).json({
+          success: true,
+          alive,
+          upstream: upstreamState(streamingSessions[sessionId]),
+          originals: takeOriginals(sessionId)
         });
+      }
+      
+      // Client is rehearsing with a simulated officer (see api/practice.js)
+      if (action === 'mode') {
+        if (params.mode !== 'practice' && params.mode !== 'interview') {
+          return res.status(400).json({ error: 'Unsupported mode' });
+        }
         
-        deepgramLive.addListener("close", () => {
-          console.log(`Deepgram connection closed for session ${sessionId}`);
-          delete deepgramSessions[sessionId];
-        });
+        getSessionSettings(sessionId).practice = params.mode === 'practice';
+        return res.status(200).json({ success: true, mode: params.mode });
+      }
+      
+      // Client chose whether to keep unredacted transcripts on the device
+      if (action === 'redaction') {
+        const keepOriginal = params.keepOriginal === true;
+        getSessionSettings(sessionId).keepOriginal = keepOriginal;
+        return res.status(200).json({ success: true, keepOriginal });
+      }
+      
+      // Client collecting the unredacted text of the last transcripts after the session ended
+      if (action === 'originals') {
+        const originals = takeOriginals(sessionId);
+        if (!streamingSessions[sessionId]) {
+          delete sessionSettings[sessionId];
+        }
+        return res.status(200).json({ success: true, originals });
+      }
+      
+      // Client assigned officer/traveller roles to diarized speaker IDs
+      if (action === 'roles') {
+        const roles = sanitizeRoles(params.roles);
+        if (!roles) {
+          return res.status(400).json({ error: 'Invalid role mapping' });
+        }
         
-        // Store the session
-        deepgramSessions[sessionId] = {
-          deepgramLive,
-          lastActivity: Date.now()
-        };
+        getSessionSettings(sessionId).roles = roles;
+        return res.status(200).json({ success: true, roles });
       }
       
-      // Send audio chunk to Deepgram
-      if (audioData && deepgramSessions[sessionId]) {
-        const base64String = audioData.split(',')[1] || audioData;
-        const audioBuffer = Buffer.from(base64String, 'base64');
+      // Client chose the language explanations should be written in
+      if (action === 'language') {
+        if (!SUPPORTED_LANGUAGES[params.language]) {
+          return res.status(400).json({ error: 'Unsupported language' });
+        }
         
-        if (deepgramSessions[sessionId].deepgramLive.getReadyState() === 1) {
-          deepgramSessions[sessionId].deepgramLive.send(audioBuffer);
-          deepgramSessions[sessionId].lastActivity = Date.now();
+        getSessionSettings(sessionId).language = params.language;
+        return res.status(200).json({ success: true, language: params.language });
+      }
+      
+      if (!isAudioChunk) {
+        return res.status(400).json({ error: `Unsupported action: ${action || 'none'}` });
+      }
+      
+      const seq = parseInt(params.seq, 10);
+      if (!Number.isInteger(seq) || seq < 0) {
+        return res.status(400).json({ error: 'Missing or invalid sequence number' });
+      }
+      
+      const chunkLimit = chunkLimiter.hit(sessionId);
+      if (!chunkLimit.allowed) {
+        return rejectRateLimited(res, chunkLimit, 'Audio is arriving faster than real time');
+      }
+      
+      const settings = getSessionSettings(sessionId);
+      if (settings.startedAt && Date.now() - settings.startedAt > MAX_SESSION_DURATION_MS) {
+        endSession(sessionId, 'max-duration');
+        // Permanent, so not a 429: the client stops recording instead of retrying
+        return res.status(410).json({ error: 'Session reached its maximum duration', code: 'session-expired' });
+      }
+      
+      // The first chunks open the session; a missing session later on (e.g. after
+      // an idle timeout) is reopened from the chunk that arrived
+      let session = streamingSessions[sessionId];
+      if (!session) {
+        // Reopening doesn't count as a new session
+        if (!settings.startedAt) {
+          // The window is an hour, too long to hold audio for, so this one isn't retryable either
+          const sessionLimit = sessionLimiter.hit(clientIp(req));
+          if (!sessionLimit.allowed) {
+            const retryAfter = Math.ceil(sessionLimit.retryAfterMs / 1000);
+            return res.status(403).json({ error: 'Too many sessions started', code: 'session-limit', retryAfter });
+          }
+          settings.startedAt = Date.now();
         }
+        
+        session = createSession(sessionId, seq < MAX_PENDING_CHUNKS ? 0 : seq);
+      }
+      
+      // Where this chunk starts in the recording; silent audio is never uploaded,
+      // so this runs ahead of the position in the STT stream
+      const captureTime = parseFloat(params.t);
+      
+      if (!session.endReason) {
+        receiveAudioChunk(session, seq, {
+          buffer: req.body,
+          captureTime: Number.isFinite(captureTime) ? captureTime : null
+        });
       }
       
-      return res.status(200).json({ success: true });
+      // Unredacted text only goes back to the device that recorded it, never over Ably
+      return res.status(200).json({
+        success: true,
+        upstream: upstreamState(session),
+        originals: takeOriginals(sessionId)
+      });
       
     } catch (error) {
       console.error('Error in POST handler:', error);
@@ -160,82 +303,549 @@ deepgramLive.addListener("transcriptReceived", (transcription) => {
   }
 };
 
-// Process transcript with Groq for analysis
-async function processWithGroq(transcript, sessionId) {
-  try {
-    if (!transcript || transcript.trim() === '') return;
-    
-    // Call Groq for analysis
-    const groqApiKey = process.env.GROQ_API_KEY;
-    const groqResponse = await fetch('https://api.groq.com/openai/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${groqApiKey}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        model: 'meta-llama/llama-4-scout-17b-16e-instruct',
-        messages: [
-          {
-            role: 'system',
-            content: `You are an AI assistant that receives speech-to-text transcripts from immigration officer/foreign student conversations and processes them.
-
-STRICT OUTPUT FORMAT:
-Your response must ALWAYS follow this EXACT format with these exact section headers:
-
----ANALYSIS---
-[Your internal analysis of the conversation - this will NOT be shown to the user]
-
----EMOJI---
-[Single emoji that represents the emotional response needed]
-
----MESSAGE---
-[One or two sentences maximum that will be shown to the user]
-
-Rules for each section:
-1. The ANALYSIS section should identify the speaker and analyze their tone (anger/rudeness for Speaker 0, nervousness/shyness for Speaker 1).
-2. The EMOJI section must contain exactly one emoji character.
-3. The MESSAGE section must be brief (1-2 sentences) and should be:
-   - For Speaker 0: A polite, apologetic reformulation of their message if they sounded rude
-   - For Speaker 1: A calming, reassuring response if they sounded nervous
-
-DO NOT deviate from this format. DO NOT add additional sections. DO NOT use markdown formatting with asterisks.`
-          },
-          {
-            role: 'user',
-            content: `Here is a sample of the correct output format I expect:
-
----ANALYSIS---
-Speaker 1 is showing signs of nervousness with repeated words "give give" and apologizing multiple times.
-
----EMOJI---
-😌
-
----MESSAGE---
-Take a deep breath and try again. You're doing just fine.
-
-Now analyze this fragment of an ongoing conversation:
-
-${transcript}`
+// Start a session: its state, then the speech-to-text stream feeding it
+function createSession(sessionId, firstSeq) {
+  const session = {
+    stream: null,
+    lastActivity: Date.now(),
+    endReason: null,
+    // Next sequence number to forward, and chunks that arrived ahead of it
+    nextSeq: firstSeq,
+    pendingChunks: new Map(),
+    // Seconds of audio forwarded so far, and where the recording jumped ahead
+    // of the STT stream because silence was skipped
+    streamPosition: 0,
+    timeline: [],
+    // Whether the live line on the client shows an interim result
+    interimPublished: false,
+    // Audio forwarded since the last final result, replayed into a new stream
+    // if this one is lost, and where the current stream's audio starts
+    unconfirmed: [],
+    streamOffset: 0,
+    // Reconnection to the STT provider after the stream closed unexpectedly
+    resumeAttempts: 0,
+    resumeTimer: null,
+    resuming: false
+  };
+  streamingSessions[sessionId] = session;
+  
+  openUpstream(sessionId, session);
+  publishSessionEvent(sessionId, 'started');
+  
+  return session;
+}
+
+// Open a speech-to-text stream for a session and publish its transcripts. Its
+// times are relative to its own start, so they are shifted by session.streamOffset.
+function openUpstream(sessionId, session) {
+  // Transcripts for this session only go to its own channel
+  const broadcastChannel = ablyClient.channels.get(sessionChannelName(sessionId, 'transcript'));
+  
+  let stream = null;
+  stream = getSTTProvider().startStream({
+    onTranscript: (result) => {
+      // A stream being replaced may still deliver results
+      if (session.stream !== stream) return;
+      
+      try {
+        if (session.resuming) {
+          markUpstreamResumed(sessionId, session);
+        }
+        
+        const settings = getSessionSettings(sessionId);
+        const transcript = result.transcript;
+        const utteranceId = `${sessionId}-${settings.utteranceCount}`;
+        
+        if (result.isFinal) {
+          settings.utteranceCount++;
+          
+          // Audio up to here is transcribed and won't need replaying
+          const finalEnd = session.streamOffset + result.start + result.duration;
+          session.unconfirmed = session.unconfirmed.filter(entry => entry.at + entry.duration > finalEnd);
+        }
+        
+        if (!transcript || transcript.trim() === '') {
+          // The window ended in silence - tell the client to drop its live line
+          if (result.isFinal && session.interimPublished) {
+            broadcastChannel.publish('transcription', {
+              sessionId: sessionId,
+              utteranceId: utteranceId,
+              isFinal: true,
+              segments: []
+            });
           }
-        ],
-        temperature: 0.7,
-        max_tokens: 250
-      })
+          session.interimPublished = false;
+          return;
+        }
+        
+        // One segment per speaker, so overlapping officer and traveller speech
+        // in a single result is attributed to each of them
+        let segments = groupWordsBySpeaker(result.words);
+        if (segments.length === 0) {
+          segments = [{ text: transcript, start: result.start, end: result.start + result.duration, speaker: 0 }];
+        }
+        
+        // Personal data is masked before it is broadcast or analyzed
+        const originalTexts = segments.map(segment => segment.text);
+        segments = segments.map(segment => ({ ...segment, text: redactText(segment.text).text }));
+        
+        if (result.isFinal && settings.keepOriginal &&
+            segments.some((segment, index) => segment.text !== originalTexts[index])) {
+          settings.originals.push({ utteranceId, texts: originalTexts });
+        }
+        
+        // Publish with speaker information, timed against the recording
+        broadcastChannel.publish('transcription', {
+          sessionId: sessionId,
+          utteranceId: utteranceId,
+          isFinal: result.isFinal,
+          segments: segments.map(segment => ({
+            text: segment.text,
+            speaker: segment.speaker,
+            start: toCaptureTime(session, session.streamOffset + segment.start),
+            end: toCaptureTime(session, session.streamOffset + segment.end)
+          }))
+        });
+        
+        session.interimPublished = !result.isFinal;
+        
+        // Interim hypotheses are only for display; history and analysis use finals
+        if (!result.isFinal) return;
+        
+        const conversation = settings.conversation;
+        segments.forEach(segment => {
+          console.log(`Published transcript with speaker ${segment.speaker}: "${segment.text}"`);
+          
+          // Short replies ("Yes.") aren't analyzed but still give context to later turns
+          addUtterance(conversation, segment.speaker, segment.text);
+        });
+        
+        // Practice answers are reviewed by api/practice.js instead
+        if (settings.practice) return;
+        
+        if (transcript.length > 10) {
+          processWithGroq(segments, sessionId, utteranceId);
+        }
+        
+        // Short lines ("Passport, please.") can still ask for a document
+        detectDocumentRequests(segments, sessionId, utteranceId);
+      } catch (error) {
+        console.error('Error processing transcript:', error);
+      }
+    },
+    
+    onError: (err) => {
+      console.error('Speech-to-text error:', err);
+    },
+    
+    onClose: () => {
+      if (session.stream !== stream) return;
+      console.log(`Speech-to-text stream closed for session ${sessionId}`);
+      
+      // We didn't ask for this close, so the provider dropped us - reconnect
+      if (!session.endReason && streamingSessions[sessionId] === session) {
+        resumeUpstream(sessionId, session);
+        return;
+      }
+      
+      closeSession(sessionId, session);
+    }
+  });
+  session.stream = stream;
+}
+
+// Reopen a lost STT stream after an exponential backoff, then replay the audio
+// the old stream never finalized so no speech is lost. Audio arriving in the
+// meantime waits in session.unconfirmed. Speaker IDs restart with the new stream.
+function resumeUpstream(sessionId, session) {
+  session.stream = null;
+  session.resumeAttempts++;
+  
+  if (session.resumeAttempts > MAX_RESUME_ATTEMPTS) {
+    console.error(`Giving up reconnecting speech-to-text for session ${sessionId}`);
+    session.endReason = 'upstream-failed';
+    closeSession(sessionId, session);
+    return;
+  }
+  
+  if (!session.resuming) {
+    session.resuming = true;
+    publishSessionEvent(sessionId, 'upstream-lost');
+  }
+  
+  const delay = Math.min(RESUME_BASE_DELAY_MS * 2 ** (session.resumeAttempts - 1), RESUME_MAX_DELAY_MS);
+  console.log(`Reconnecting speech-to-text for session ${sessionId} in ${delay}ms (attempt ${session.resumeAttempts})`);
+  
+  session.resumeTimer = setTimeout(() => {
+    session.resumeTimer = null;
+    if (streamingSessions[sessionId] !== session || session.endReason) return;
+    
+    session.streamOffset = session.unconfirmed.length > 0 ? session.unconfirmed[0].at : session.streamPosition;
+    session.interimPublished = false;
+    openUpstream(sessionId, session);
+    session.unconfirmed.forEach(entry => session.stream.send(entry.buffer));
+  }, delay);
+}
+
+// The new stream is working: say so, and start counting attempts afresh
+function markUpstreamResumed(sessionId, session) {
+  session.resuming = false;
+  session.resumeAttempts = 0;
+  console.log(`Speech-to-text reconnected for session ${sessionId}`);
+  publishSessionEvent(sessionId, 'resumed');
+}
+
+// The session is over: forget it and report why
+function closeSession(sessionId, session) {
+  clearTimeout(session.resumeTimer);
+  
+  // A restarted session may already have replaced this one
+  if (streamingSessions[sessionId] === session) {
+    delete streamingSessions[sessionId];
+    
+    // The client is done with this session, so its settings are too - unless
+    // it still has unredacted text to collect
+    const settings = sessionSettings[sessionId];
+    if (session.endReason === 'ended' && !(settings && settings.originals.length > 0)) {
+      delete sessionSettings[sessionId];
+    }
+  }
+  
+  publishSessionEvent(sessionId, session.endReason || 'ended');
+}
+
+// How the session's STT stream is doing, reported to the client with each upload
+function upstreamState(session) {
+  if (!session || session.endReason) return 'closed';
+  if (!session.stream || session.resuming) return 'reconnecting';
+  return 'open';
+}
+
+// Chunk uploads can complete out of order, so hold early chunks until the gap
+// before them is filled. A gap that never fills is skipped after MAX_PENDING_CHUNKS.
+function receiveAudioChunk(session, seq, chunk) {
+  session.lastActivity = Date.now();
+  
+  // Duplicate, or arrived after we gave up waiting for it
+  if (seq < session.nextSeq) return;
+  
+  session.pendingChunks.set(seq, chunk);
+  
+  if (!session.pendingChunks.has(session.nextSeq) && session.pendingChunks.size > MAX_PENDING_CHUNKS) {
+    console.log(`Skipping missing audio chunk ${session.nextSeq}`);
+    session.nextSeq = Math.min(...session.pendingChunks.keys());
+  }
+  
+  while (session.pendingChunks.has(session.nextSeq)) {
+    forwardAudio(session, session.pendingChunks.get(session.nextSeq));
+    session.pendingChunks.delete(session.nextSeq);
+    session.nextSeq++;
+  }
+}
+
+function forwardAudio(session, chunk) {
+  // Note where the recording skipped ahead of the stream
+  if (chunk.captureTime !== null) {
+    const last = session.timeline[session.timeline.length - 1];
+    const expected = last ? last.captureTime + (session.streamPosition - last.streamTime) : session.streamPosition;
+    
+    if (Math.abs(chunk.captureTime - expected) > 0.01) {
+      session.timeline.push({ streamTime: session.streamPosition, captureTime: chunk.captureTime });
+    }
+  }
+  
+  // 16-bit mono PCM at 16kHz
+  const duration = chunk.buffer.length / 2 / 16000;
+  
+  // Kept until a final result covers it, in case the stream is lost
+  session.unconfirmed.push({ at: session.streamPosition, duration, buffer: chunk.buffer });
+  while (session.unconfirmed.length > 0 &&
+         session.streamPosition + duration - session.unconfirmed[0].at > RESUME_BUFFER_SECONDS) {
+    session.unconfirmed.shift();
+  }
+  
+  session.streamPosition += duration;
+  
+  // Sent when the stream is reopened
+  if (session.stream) {
+    session.stream.send(chunk.buffer);
+  }
+}
+
+// Convert a time in the STT stream to a time in the recording
+function toCaptureTime(session, streamTime) {
+  let mark = null;
+  for (const entry of session.timeline) {
+    if (entry.streamTime > streamTime) break;
+    mark = entry;
+  }
+  
+  return mark ? mark.captureTime + (streamTime - mark.streamTime) : streamTime;
+}
+
+// Keep the STT stream from closing during silence
+function keepSessionAlive(sessionId) {
+  const session = streamingSessions[sessionId];
+  if (!session || session.endReason) return false;
+  
+  session.lastActivity = Date.now();
+  if (session.stream) {
+    session.stream.keepAlive();
+  }
+  
+  return true;
+}
+
+// Ask the STT provider to finish the stream. It sends any remaining final
+// transcripts before closing, and the close handler reports the end.
+function endSession(sessionId, reason) {
+  const session = streamingSessions[sessionId];
+  if (!session || session.endReason) return false;
+  
+  session.endReason = reason;
+  
+  // Between streams while reconnecting: nothing to flush
+  if (!session.stream) {
+    closeSession(sessionId, session);
+    return true;
+  }
+  
+  try {
+    session.stream.finish();
+  } catch (error) {
+    console.error(`Error finishing speech-to-text stream for session ${sessionId}:`, error);
+    closeSession(sessionId, session);
+  }
+  
+  return true;
+}
+
+// Settings for a session, created on first use
+function getSessionSettings(sessionId) {
+  if (!sessionSettings[sessionId]) {
+    sessionSettings[sessionId] = {
+      roles: {},
+      language: 'en',
+      conversation: createConversation(),
+      // Whether to return unredacted final transcripts to the client, and those not yet returned
+      keepOriginal: false,
+      originals: [],
+      // Practice sessions are transcribed but not analyzed
+      practice: false,
+      // When the first STT stream opened, for the maximum session duration
+      startedAt: null,
+      // Numbers utterance IDs, across reopened sessions so IDs never repeat
+      utteranceCount: 0,
+      updatedAt: Date.now()
+    };
+  }
+  
+  sessionSettings[sessionId].updatedAt = Date.now();
+  return sessionSettings[sessionId];
+}
+
+// Unredacted final transcripts waiting to be returned to the client
+function takeOriginals(sessionId) {
+  const settings = sessionSettings[sessionId];
+  if (!settings || settings.originals.length === 0) return [];
+  
+  const originals = settings.originals;
+  settings.originals = [];
+  return originals;
+}
+
+// Accept only { "<speaker id>": "officer" | "traveller" }
+function sanitizeRoles(roles) {
+  if (!roles || typeof roles !== 'object' || Array.isArray(roles)) return null;
+  
+  const sanitized = {};
+  for (const [speakerId, role] of Object.entries(roles)) {
+    if (!/^\d{1,2}$/.test(speakerId) || (role !== 'officer' && role !== 'traveller')) {
+      return null;
+    }
+    sanitized[speakerId] = role;
+  }
+  
+  return sanitized;
+}
+
+// Close sessions that have not received audio within the idle timeout
+function sweepIdleSessions() {
+  const now = Date.now();
+  
+  // Drop settings for sessions that never started or were abandoned
+  Object.keys(sessionSettings).forEach(sessionId => {
+    if (!streamingSessions[sessionId] && now - sessionSettings[sessionId].updatedAt > SESSION_IDLE_TIMEOUT_MS * 10) {
+      delete sessionSettings[sessionId];
+    }
+  });
+  
+  Object.keys(streamingSessions).forEach(sessionId => {
+    const session = streamingSessions[sessionId];
+    const settings = sessionSettings[sessionId];
+    
+    // A reopened stream that has heard only silence hasn't reported back yet
+    if (session.resuming && session.stream && session.stream.isOpen()) {
+      markUpstreamResumed(sessionId, session);
+    }
+    
+    if (!session.endReason && settings && settings.startedAt && now - settings.startedAt > MAX_SESSION_DURATION_MS) {
+      console.log(`Session ${sessionId} reached the maximum duration, closing`);
+      endSession(sessionId, 'max-duration');
+    } else if (!session.endReason && now - session.lastActivity > SESSION_IDLE_TIMEOUT_MS) {
+      console.log(`Session ${sessionId} idle for ${now - session.lastActivity}ms, closing`);
+      endSession(sessionId, 'timed-out');
+    } else if (session.endReason && now - session.lastActivity > SESSION_IDLE_TIMEOUT_MS * 2) {
+      // The provider never confirmed the close - drop the session anyway
+      delete streamingSessions[sessionId];
+    }
+  });
+  
+  [tokenLimiter, sessionLimiter, requestLimiter, chunkLimiter].forEach(limiter => limiter.prune());
+}
+
+// 429 with a Retry-After the client can show or wait out. Only used for limits
+// whose window is a minute or less; permanent refusals use 403/410 with a code.
+function rejectRateLimited(res, limit, message) {
+  const retryAfter = Math.ceil(limit.retryAfterMs / 1000);
+  res.setHeader('Retry-After', retryAfter);
+  return res.status(429).json({ error: message, code: 'rate-limited', retryAfter });
+}
+
+// Report a session lifecycle change on its events channel: started, ended,
+// timed-out, max-duration, or upstream-lost / resumed / upstream-failed when
+// the STT stream drops
+function publishSessionEvent(sessionId, state) {
+  if (!ablyClient) return;
+  
+  const eventsChannel = ablyClient.channels.get(sessionChannelName(sessionId, 'events'));
+  eventsChannel.publish('lifecycle', {
+    sessionId,
+    state,
+    timestamp: Date.now()
+  }, (err) => {
+    if (err) {
+      console.error(`Error publishing ${state} event for session ${sessionId}:`, err);
+    }
+  });
+}
+
+// Tell the client when the officer asks for a document, so it can show which
+// one. Speakers without a role yet may be the officer, so they are checked too.
+async function detectDocumentRequests(segments, sessionId, utteranceId) {
+  try {
+    const roles = getSessionSettings(sessionId).roles;
+    
+    for (const segment of segments) {
+      if (roles[segment.speaker] === 'traveller') continue;
+      
+      const request = await detectDocumentRequest(segment.text);
+      if (!request) continue;
+      
+      console.log(`Document request in session ${sessionId} (${request.source}):`, request.documents.map(doc => doc.id).join(', '));
+      
+      const eventsChannel = ablyClient.channels.get(sessionChannelName(sessionId, 'events'));
+      await eventsChannel.publish('document-request', {
+        sessionId,
+        utteranceId,
+        documents: request.documents,
+        source: request.source,
+        timestamp: Date.now()
+      });
+    }
+  } catch (error) {
+    console.error('Error detecting document requests:', error);
+  }
+}
+
+// Process the speaker segments of a final result with Groq for analysis. The
+// emoji and message are published as 'analysis-delta' events while the model
+// writes them, then the validated analysis replaces them. Both carry the
+// utterance ID as analysisId.
+async function processWithGroq(segments, sessionId, analysisId) {
+  const analysisChannel = ablyClient.channels.get(sessionChannelName(sessionId, 'analysis'));
+  const deltas = createAnalysisDeltaPublisher(analysisChannel, sessionId, analysisId);
+  
+  try {
+    const settings = getSessionSettings(sessionId);
+    
+    // Everything before these segments, which are already the latest turns
+    const context = buildContext(settings.conversation, id => speakerLabel(settings.roles, id), {
+      skipLatest: segments.length
+    });
+    
+    const analysis = await analyzeTranscript({
+      transcript: segments.map(segment => `${speakerLabel(settings.roles, segment.speaker)}: ${segment.text}`).join('\n'),
+      language: settings.language,
+      context,
+      onPartial: deltas.update
     });
     
-    if (groqResponse.ok) {
-      const groqData = await groqResponse.json();
-      const analysis = groqData.choices?.[0]?.message?.content || null;
+    deltas.finish();
+    
+    if (analysis) {
+      addSuggestion(settings.conversation, analysis);
       
-      // Publish analysis to Ably
-      const analysisChannel = ablyClient.channels.get('analysis-channel');
+      // Publish the parsed analysis to the session's own channel
       await analysisChannel.publish('analysis', {
         sessionId,
+        analysisId,
         analysis
       });
     }
   } catch (error) {
+    deltas.finish();
     console.error('Error processing with Groq:', error);
   }
-}
\ No newline at end of file
+}
+
+// Publishes a streamed analysis as it grows: the emoji as soon as it is known,
+// and the text added to the message since the last event, batched over
+// ANALYSIS_DELTA_INTERVAL_MS. Events are { sessionId, analysisId, emoji?, delta }.
+function createAnalysisDeltaPublisher(channel, sessionId, analysisId) {
+  let publishedEmoji = null;
+  let publishedMessage = '';
+  let latest = null;
+  let timer = null;
+  
+  function flush() {
+    timer = null;
+    if (!latest) return;
+    
+    const emoji = latest.emoji !== publishedEmoji ? latest.emoji : undefined;
+    // Only ever append; a message that changed under us waits for the final analysis
+    const delta = latest.message.startsWith(publishedMessage) ? latest.message.slice(publishedMessage.length) : '';
+    if (!emoji && !delta) return;
+    
+    publishedEmoji = latest.emoji;
+    publishedMessage += delta;
+    
+    channel.publish('analysis-delta', { sessionId, analysisId, emoji, delta }, (err) => {
+      if (err) {
+        console.error(`Error publishing analysis delta for session ${sessionId}:`, err);
+      }
+    });
+  }
+  
+  function update(partial) {
+    latest = partial;
+    
+    // Nothing on screen yet, so don't hold back the first event
+    if (partial.emoji && !publishedEmoji) {
+      clearTimeout(timer);
+      flush();
+    } else if (!timer) {
+      timer = setTimeout(flush, ANALYSIS_DELTA_INTERVAL_MS);
+    }
+  }
+  
+  // Send what is pending, so deltas go out before the final analysis
+  function finish() {
+    if (timer) {
+      clearTimeout(timer);
+      flush();
+    }
+  }
+  
+  return { update, finish };
+}
@@ -0,0 +1,162 @@
+// Connection health: one state for the whole pipeline, shown as a badge in
+// place of the navbar clock whenever something is wrong. It combines the Ably
+// connection, the server's speech-to-text stream (see resumeUpstream() in
+// api/streaming-proxy.js) and how many recent chunk uploads got through, and
+// reconnects Ably with exponential backoff when it gives up. Loaded after
+// streaming-script.js.
+
+const ABLY_RETRY_BASE_MS = 1000;
+const ABLY_RETRY_MAX_MS = 30000;
+const UPLOAD_HEALTH_WINDOW = 20;       // Recent chunk uploads considered
+const UPLOAD_HEALTH_MIN_SUCCESS = 0.8; // Below this share of successes the connection is weak
+
+const connectionBadgeEl = document.getElementById('connection-badge');
+const clockEl = document.querySelector('.time');
+
+let ablyState = 'initialized';
+let ablyRetryAttempts = 0;
+let ablyRetryTimer = null;
+let ablyRetryAt = 0;
+let badgeRefreshTimer = null;
+
+// 'open' or 'reconnecting', as last reported by the server
+let upstreamState = 'open';
+
+// true/false for each recent chunk upload, oldest first
+let recentChunkUploads = [];
+
+window.addEventListener('online', function() {
+    // Don't wait out the backoff once the network is back
+    if (ablyRetryTimer) {
+        clearTimeout(ablyRetryTimer);
+        ablyRetryTimer = null;
+        retryAbly();
+    }
+    updateConnectionHealth();
+});
+
+window.addEventListener('offline', updateConnectionHealth);
+
+// Ably connection state changes, from initializeAbly()
+function handleAblyStateChange(stateChange) {
+    ablyState = stateChange.current;
+
+    if (ablyState === 'connected') {
+        ablyRetryAttempts = 0;
+        clearTimeout(ablyRetryTimer);
+        ablyRetryTimer = null;
+    } else if (ablyState === 'failed' || ablyState === 'suspended') {
+        // Ably never leaves 'failed' on its own and retries 'suspended' only every 30s
+        scheduleAblyReconnect();
+    }
+
+    updateConnectionHealth();
+}
+
+// Try Ably again after 1s, 2s, 4s... up to 30s, with jitter so clients that
+// dropped together don't all come back at once
+function scheduleAblyReconnect() {
+    if (ablyRetryTimer) return;
+
+    const delay = Math.min(ABLY_RETRY_BASE_MS * 2 ** ablyRetryAttempts, ABLY_RETRY_MAX_MS) * (0.75 + Math.random() * 0.5);
+    ablyRetryAttempts++;
+    ablyRetryAt = Date.now() + delay;
+    ablyRetryTimer = setTimeout(() => {
+        ablyRetryTimer = null;
+        retryAbly();
+    }, delay);
+
+    updateConnectionHealth();
+}
+
+function retryAbly() {
+    if (!navigator.onLine) {
+        // The online listener retries when the network comes back
+        updateConnectionHealth();
+        return;
+    }
+
+    console.log(`Reconnecting to Ably (attempt ${ablyRetryAttempts})`);
+    if (ablyClient) {
+        ablyClient.connection.connect();
+    } else {
+        // Never got a token: start over, which reschedules if it fails again
+        initializeAbly();
+    }
+}
+
+// Outcome of each chunk upload, from uploadAudioChunk()
+function recordChunkUpload(succeeded) {
+    recentChunkUploads.push(succeeded);
+    if (recentChunkUploads.length > UPLOAD_HEALTH_WINDOW) {
+        recentChunkUploads.shift();
+    }
+    updateConnectionHealth();
+}
+
+// The server's STT stream state, from upload responses and lifecycle events
+function setUpstreamState(state) {
+    if (state !== 'open' && state !== 'reconnecting') return;
+    if (state === upstreamState) return;
+
+    upstreamState = state;
+    updateConnectionHealth();
+}
+
+// A new recording starts with a clean slate
+function resetConnectionHealth() {
+    recentChunkUploads = [];
+    upstreamState = 'open';
+    updateConnectionHealth();
+}
+
+// The worst problem right now, or null when everything is working
+function currentConnectionProblem() {
+    if (!navigator.onLine) {
+        return { state: 'offline', label: '📴 Offline' };
+    }
+
+    const ablyDown = ablyClient ?
+        ['disconnected', 'suspended', 'failed'].includes(ablyState) :
+        !!ablyRetryTimer;
+    if (ablyDown) {
+        const seconds = ablyRetryTimer ? Math.max(0, Math.ceil((ablyRetryAt - Date.now()) / 1000)) : 0;
+        return { state: 'reconnecting', label: seconds > 0 ? `🔄 Reconnecting in ${seconds}s` : '🔄 Reconnecting...' };
+    }
+
+    if (!isStreaming) return null;
+
+    if (upstreamState === 'reconnecting') {
+        return { state: 'degraded', label: '🔄 Transcription reconnecting' };
+    }
+
+    const successes = recentChunkUploads.filter(Boolean).length;
+    if (recentChunkUploads.length >= 4 && successes / recentChunkUploads.length < UPLOAD_HEALTH_MIN_SUCCESS) {
+        return { state: 'degraded', label: '📶 Weak connection' };
+    }
+
+    return null;
+}
+
+// Show the badge instead of the clock while there is a problem
+function updateConnectionHealth() {
+    const problem = currentConnectionProblem();
+
+    connectionBadgeEl.classList.toggle('hidden', !problem);
+    clockEl.classList.toggle('hidden', !!problem);
+
+    if (problem) {
+        connectionBadgeEl.textContent = problem.label;
+        connectionBadgeEl.dataset.state = problem.state;
+    }
+
+    // Keep the retry countdown ticking
+    if (problem && ablyRetryTimer && !badgeRefreshTimer) {
+        badgeRefreshTimer = setInterval(updateConnectionHealth, 1000);
+    } else if (!(problem && ablyRetryTimer) && badgeRefreshTimer) {
+        clearInterval(badgeRefreshTimer);
+        badgeRefreshTimer = null;
+    }
+}
+
+updateConnectionHealth();
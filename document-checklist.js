@@ -0,0 +1,102 @@
+// Document prompts: when the officer asks for a document (detected server-side,
+// see lib/documents.js), show a large card in place of the emoji naming it, and
+// whether it is on the checklist of documents the traveller said they are
+// carrying. Loaded after streaming-script.js.
+
+const DOCUMENT_CHECKLIST_STORAGE_KEY = 'documentChecklist';
+
+// How long a card stays up unless tapped away
+const DOCUMENT_CARD_DURATION_MS = 30000;
+
+const documentCardEl = document.getElementById('document-card');
+const documentChecklistInputs = Array.from(document.querySelectorAll('input[name="documentChecklist"]'));
+
+let documentCardTimer = null;
+
+// Restore the checklist from last time
+const carriedDocuments = JSON.parse(localStorage.getItem(DOCUMENT_CHECKLIST_STORAGE_KEY) || '[]');
+documentChecklistInputs.forEach(input => {
+    input.checked = carriedDocuments.includes(input.value);
+    input.addEventListener('change', saveDocumentChecklist);
+});
+
+documentCardEl.addEventListener('click', function() {
+    hideDocumentCard();
+});
+
+function saveDocumentChecklist() {
+    const carried = documentChecklistInputs.filter(input => input.checked).map(input => input.value);
+    localStorage.setItem(DOCUMENT_CHECKLIST_STORAGE_KEY, JSON.stringify(carried));
+}
+
+// document-request events from the session's events channel
+function handleDocumentRequestMessage(message) {
+    const data = message.data;
+    if (!data || data.sessionId !== sessionId || !Array.isArray(data.documents)) return;
+
+    // Practice answers may mention documents, but no officer is asking
+    if (practiceActive) return;
+
+    console.log('Document request:', data.documents.map(doc => doc.id).join(', '), `(${data.source})`);
+    showDocumentCard(data.documents);
+}
+
+function showDocumentCard(documents) {
+    if (documents.length === 0) return;
+
+    // An empty checklist means the traveller never filled it in
+    const carried = documentChecklistInputs.filter(input => input.checked).map(input => input.value);
+    const checklistFilled = carried.length > 0;
+
+    documentCardEl.innerHTML = '';
+
+    const titleEl = document.createElement('p');
+    titleEl.className = 'document-card-title';
+    titleEl.textContent = documents.length === 1 ?
+        'The officer is asking for:' :
+        'The officer is asking for these documents:';
+    documentCardEl.appendChild(titleEl);
+
+    documents.forEach(doc => {
+        const itemEl = document.createElement('div');
+        itemEl.className = 'document-card-item';
+
+        const pictogramEl = document.createElement('span');
+        pictogramEl.className = 'document-card-pictogram';
+        pictogramEl.setAttribute('aria-hidden', 'true');
+        pictogramEl.textContent = doc.pictogram;
+        itemEl.appendChild(pictogramEl);
+
+        const textEl = document.createElement('div');
+        const nameEl = document.createElement('div');
+        nameEl.className = 'document-card-name';
+        nameEl.textContent = doc.name;
+        textEl.appendChild(nameEl);
+
+        if (checklistFilled) {
+            const statusEl = document.createElement('p');
+            const isCarried = carried.includes(doc.id);
+            statusEl.className = `document-card-status${isCarried ? '' : ' missing'}`;
+            statusEl.textContent = isCarried ?
+                '✓ On your checklist' :
+                'Not on your checklist - tell the officer if you don\'t have it';
+            textEl.appendChild(statusEl);
+        }
+
+        itemEl.appendChild(textEl);
+        documentCardEl.appendChild(itemEl);
+    });
+
+    emojiDisplayEl.classList.add('hidden');
+    documentCardEl.classList.remove('hidden');
+
+    clearTimeout(documentCardTimer);
+    documentCardTimer = setTimeout(hideDocumentCard, DOCUMENT_CARD_DURATION_MS);
+}
+
+function hideDocumentCard() {
+    clearTimeout(documentCardTimer);
+    documentCardTimer = null;
+    documentCardEl.classList.add('hidden');
+    emojiDisplayEl.classList.remove('hidden');
+}
@@ -0,0 +1,246 @@
+// Immigration terms officers use that travellers may not know, with a plain-English
+// definition and a translation for every language in lib/analysis.js.
+// Shared by the browser (highlighting in streaming-script.js) and the server
+// (cited in the analysis prompt), so it has no dependencies.
+(function(exports) {
+    const GLOSSARY = [
+        {
+            term: 'I-20',
+            aliases: ['I 20', 'I twenty', 'form I-20'],
+            definition: 'The form from your school that shows you are admitted as an F-1 student. Officers ask to see it with your passport.',
+            translations: {
+                ko: '학교에서 발급한 F-1 유학생 입학 증명 서류입니다. 여권과 함께 보여 달라고 합니다.',
+                zh: '学校签发的F-1学生录取证明表格。官员会要求你和护照一起出示。',
+                ja: '学校が発行するF-1学生の入学許可書類です。パスポートと一緒に提示を求められます。',
+                hi: 'आपके स्कूल का फ़ॉर्म जो दिखाता है कि आपको F-1 छात्र के रूप में दाखिला मिला है। अधिकारी इसे पासपोर्ट के साथ देखना चाहते हैं।',
+                vi: 'Giấy tờ do trường cấp, chứng nhận bạn được nhận học với tư cách sinh viên F-1. Nhân viên sẽ yêu cầu xem cùng hộ chiếu.',
+                es: 'El formulario de tu escuela que demuestra que fuiste admitido como estudiante F-1. Te lo pedirán junto con el pasaporte.',
+                pt: 'O formulário da sua escola que mostra que você foi admitido como estudante F-1. Pedem junto com o passaporte.',
+                ar: 'النموذج الصادر من مدرستك الذي يثبت قبولك كطالب F-1. يطلبه الضابط مع جواز السفر.',
+                fr: 'Le formulaire de votre école qui prouve votre admission comme étudiant F-1. On vous le demande avec votre passeport.'
+            }
+        },
+        {
+            term: 'SEVIS',
+            aliases: ['SEVIS ID', 'SEVIS number', 'SEVIS fee'],
+            definition: 'The government database of international students. Your SEVIS ID is printed on your I-20, and you must have paid the SEVIS fee.',
+            translations: {
+                ko: '유학생 정보를 관리하는 정부 데이터베이스입니다. SEVIS 번호는 I-20에 있으며, SEVIS 비용을 납부했어야 합니다.',
+                zh: '美国政府的国际学生数据库。你的SEVIS号码印在I-20上，并且你必须已缴纳SEVIS费。',
+                ja: '留学生を管理する政府のデータベースです。SEVIS番号はI-20に記載されており、SEVIS費用の支払いが必要です。',
+                hi: 'अंतरराष्ट्रीय छात्रों का सरकारी डेटाबेस। आपका SEVIS नंबर I-20 पर छपा होता है, और SEVIS शुल्क चुकाया होना चाहिए।',
+                vi: 'Cơ sở dữ liệu của chính phủ về sinh viên quốc tế. Mã SEVIS in trên I-20 và bạn phải đã đóng phí SEVIS.',
+                es: 'La base de datos del gobierno sobre estudiantes internacionales. Tu número SEVIS está en el I-20 y debes haber pagado la tarifa SEVIS.',
+                pt: 'O banco de dados do governo sobre estudantes internacionais. Seu número SEVIS está no I-20 e a taxa SEVIS deve estar paga.',
+                ar: 'قاعدة بيانات حكومية للطلاب الدوليين. رقم SEVIS مطبوع على نموذج I-20، ويجب أن تكون قد دفعت رسوم SEVIS.',
+                fr: 'La base de données gouvernementale des étudiants internationaux. Votre numéro SEVIS figure sur l\'I-20 et les frais SEVIS doivent être payés.'
+            }
+        },
+        {
+            term: 'I-94',
+            aliases: ['I 94', 'I ninety-four', 'arrival record'],
+            definition: 'Your electronic arrival record. It shows the date you entered and your status (for students, "D/S"). You can download it online after you arrive.',
+            translations: {
+                ko: '전자 입국 기록입니다. 입국 날짜와 체류 자격(학생은 "D/S")이 표시됩니다. 도착 후 온라인으로 받을 수 있습니다.',
+                zh: '你的电子入境记录，显示入境日期和身份（学生为"D/S"）。抵达后可以在网上下载。',
+                ja: '電子入国記録です。入国日と滞在資格（学生は「D/S」）が記載されます。到着後にオンラインで取得できます。',
+                hi: 'आपका इलेक्ट्रॉनिक आगमन रिकॉर्ड। इसमें प्रवेश की तारीख और आपकी स्थिति (छात्रों के लिए "D/S") होती है। पहुँचने के बाद इसे ऑनलाइन डाउनलोड कर सकते हैं।',
+                vi: 'Hồ sơ nhập cảnh điện tử, ghi ngày nhập cảnh và tình trạng của bạn (sinh viên là "D/S"). Có thể tải về trên mạng sau khi đến.',
+                es: 'Tu registro electrónico de llegada. Muestra la fecha de entrada y tu estatus (para estudiantes, "D/S"). Puedes descargarlo en línea al llegar.',
+                pt: 'Seu registro eletrônico de chegada. Mostra a data de entrada e seu status (para estudantes, "D/S"). Pode ser baixado online após a chegada.',
+                ar: 'سجل الوصول الإلكتروني الخاص بك. يوضح تاريخ الدخول ووضعك (للطلاب "D/S"). يمكنك تنزيله عبر الإنترنت بعد الوصول.',
+                fr: 'Votre registre électronique d\'arrivée. Il indique la date d\'entrée et votre statut (« D/S » pour les étudiants). Téléchargeable en ligne après l\'arrivée.'
+            }
+        },
+        {
+            term: 'F-1 visa',
+            aliases: ['F-1', 'F1 visa', 'student visa'],
+            definition: 'The visa for full-time academic students. It lets you travel to the U.S. to study; the officer decides whether to admit you.',
+            translations: {
+                ko: '정규 유학생을 위한 비자입니다. 공부하러 미국에 올 수 있게 해 주며, 입국 허가는 심사관이 결정합니다.',
+                zh: '全日制学术类学生签证。它允许你赴美学习，是否准许入境由官员决定。',
+                ja: 'フルタイムの留学生のためのビザです。米国に渡航して学ぶことができますが、入国を認めるかは審査官が決めます。',
+                hi: 'पूर्णकालिक छात्रों के लिए वीज़ा। इससे आप पढ़ाई के लिए अमेरिका आ सकते हैं; प्रवेश देना है या नहीं, यह अधिकारी तय करता है।',
+                vi: 'Thị thực dành cho sinh viên học toàn thời gian. Nó cho phép bạn đến Mỹ học; nhân viên sẽ quyết định có cho nhập cảnh hay không.',
+                es: 'La visa para estudiantes académicos de tiempo completo. Te permite viajar a EE. UU. a estudiar; el oficial decide si te admite.',
+                pt: 'O visto para estudantes acadêmicos em tempo integral. Permite viajar aos EUA para estudar; o oficial decide se você é admitido.',
+                ar: 'تأشيرة الطلاب الأكاديميين بدوام كامل. تسمح لك بالسفر إلى الولايات المتحدة للدراسة، والضابط يقرر قبول دخولك.',
+                fr: 'Le visa des étudiants à temps plein. Il permet de venir étudier aux États-Unis ; l\'agent décide de vous admettre ou non.'
+            }
+        },
+        {
+            term: 'port of entry',
+            aliases: ['POE'],
+            definition: 'The airport or border crossing where you officially enter the United States and are inspected.',
+            translations: {
+                ko: '미국에 공식적으로 입국하며 심사를 받는 공항이나 국경 검문소입니다.',
+                zh: '你正式进入美国并接受检查的机场或边境口岸。',
+                ja: '正式に米国に入国し、審査を受ける空港や国境の検問所です。',
+                hi: 'वह हवाई अड्डा या सीमा चौकी जहाँ आप आधिकारिक रूप से अमेरिका में प्रवेश करते हैं और जाँच होती है।',
+                vi: 'Sân bay hoặc cửa khẩu nơi bạn chính thức nhập cảnh Mỹ và được kiểm tra.',
+                es: 'El aeropuerto o cruce fronterizo donde entras oficialmente a EE. UU. y te inspeccionan.',
+                pt: 'O aeroporto ou posto de fronteira onde você entra oficialmente nos EUA e é inspecionado.',
+                ar: 'المطار أو المعبر الحدودي الذي تدخل منه رسميًا إلى الولايات المتحدة ويتم فحصك فيه.',
+                fr: 'L\'aéroport ou le poste-frontière où vous entrez officiellement aux États-Unis et êtes contrôlé.'
+            }
+        },
+        {
+            term: 'secondary inspection',
+            aliases: ['secondary', 'secondary screening'],
+            definition: 'A separate room where another officer checks your documents more closely. It is common and does not mean you did something wrong.',
+            translations: {
+                ko: '다른 심사관이 서류를 더 자세히 확인하는 별도 장소입니다. 흔한 일이며 잘못했다는 뜻이 아닙니다.',
+                zh: '另一名官员更仔细检查你证件的单独房间。这很常见，并不代表你做错了什么。',
+                ja: '別の審査官が書類をより詳しく確認する別室です。よくあることで、何か悪いことをしたという意味ではありません。',
+                hi: 'एक अलग कमरा जहाँ दूसरा अधिकारी आपके दस्तावेज़ ध्यान से जाँचता है। यह आम है और इसका मतलब यह नहीं कि आपने कुछ गलत किया।',
+                vi: 'Một phòng riêng nơi nhân viên khác kiểm tra giấy tờ kỹ hơn. Việc này thường gặp và không có nghĩa là bạn làm sai.',
+                es: 'Una sala aparte donde otro oficial revisa tus documentos con más detalle. Es común y no significa que hiciste algo mal.',
+                pt: 'Uma sala separada onde outro oficial verifica seus documentos com mais atenção. É comum e não significa que você fez algo errado.',
+                ar: 'غرفة منفصلة يفحص فيها ضابط آخر وثائقك بدقة أكبر. هذا شائع ولا يعني أنك ارتكبت خطأ.',
+                fr: 'Une salle à part où un autre agent examine vos documents plus en détail. C\'est courant et ne veut pas dire que vous avez fait une faute.'
+            }
+        },
+        {
+            term: 'CBP',
+            aliases: ['Customs and Border Protection', 'customs and border'],
+            definition: 'U.S. Customs and Border Protection, the agency whose officers inspect you when you arrive.',
+            translations: {
+                ko: '미국 세관국경보호청으로, 도착 시 입국 심사를 하는 기관입니다.',
+                zh: '美国海关与边境保护局，抵达时检查你的官员所属的机构。',
+                ja: '米国税関・国境警備局。到着時に入国審査を行う機関です。',
+                hi: 'अमेरिकी सीमा शुल्क और सीमा सुरक्षा एजेंसी, जिसके अधिकारी पहुँचने पर आपकी जाँच करते हैं।',
+                vi: 'Cơ quan Hải quan và Bảo vệ Biên giới Hoa Kỳ, nơi các nhân viên kiểm tra bạn khi đến.',
+                es: 'La Oficina de Aduanas y Protección Fronteriza de EE. UU., cuyos oficiales te inspeccionan al llegar.',
+                pt: 'A agência de Alfândega e Proteção de Fronteiras dos EUA, cujos oficiais inspecionam você na chegada.',
+                ar: 'هيئة الجمارك وحماية الحدود الأمريكية، وهي الجهة التي يفحصك ضباطها عند الوصول.',
+                fr: 'Le service des douanes et de la protection des frontières des États-Unis, dont les agents vous contrôlent à l\'arrivée.'
+            }
+        },
+        {
+            term: 'D/S',
+            aliases: ['duration of status'],
+            definition: '"Duration of status": as a student you may stay as long as you keep studying under your program, rather than until a fixed date.',
+            translations: {
+                ko: '"체류 자격 기간": 정해진 날짜가 아니라 학업 프로그램을 유지하는 동안 체류할 수 있다는 뜻입니다.',
+                zh: '"身份有效期"：作为学生，只要你按项目继续学习就可以停留，而不是到某个固定日期为止。',
+                ja: '「滞在資格の期間」：決まった日付までではなく、プログラムで学び続ける限り滞在できるという意味です。',
+                hi: '"स्थिति की अवधि": छात्र के रूप में आप तब तक रह सकते हैं जब तक अपने प्रोग्राम में पढ़ाई जारी रखते हैं, किसी तय तारीख तक नहीं।',
+                vi: '"Thời hạn theo tình trạng": sinh viên được ở lại chừng nào còn theo học chương trình, không phải đến một ngày cố định.',
+                es: '"Duración del estatus": como estudiante puedes quedarte mientras sigas estudiando en tu programa, no hasta una fecha fija.',
+                pt: '"Duração do status": como estudante, você pode ficar enquanto continuar estudando no programa, não até uma data fixa.',
+                ar: '"مدة الوضع": كطالب يمكنك البقاء طالما تواصل الدراسة في برنامجك، وليس حتى تاريخ محدد.',
+                fr: '« Durée du statut » : en tant qu\'étudiant, vous pouvez rester tant que vous suivez votre programme, et non jusqu\'à une date fixe.'
+            }
+        },
+        {
+            term: 'DSO',
+            aliases: ['designated school official', 'international student office'],
+            definition: 'The designated school official at your school\'s international office, who manages your I-20 and SEVIS record.',
+            translations: {
+                ko: '학교 국제학생처의 지정 담당자로, I-20과 SEVIS 기록을 관리합니다.',
+                zh: '学校国际学生办公室的指定官员，负责管理你的I-20和SEVIS记录。',
+                ja: '学校の留学生オフィスの指定担当者で、I-20とSEVIS記録を管理します。',
+                hi: 'आपके स्कूल के अंतरराष्ट्रीय कार्यालय के नामित अधिकारी, जो आपका I-20 और SEVIS रिकॉर्ड संभालते हैं।',
+                vi: 'Cán bộ được chỉ định tại văn phòng sinh viên quốc tế của trường, quản lý I-20 và hồ sơ SEVIS của bạn.',
+                es: 'El funcionario designado de la oficina internacional de tu escuela, que gestiona tu I-20 y tu registro SEVIS.',
+                pt: 'O responsável designado no escritório internacional da sua escola, que cuida do seu I-20 e registro SEVIS.',
+                ar: 'المسؤول المعيّن في مكتب الطلاب الدوليين بمدرستك، الذي يدير نموذج I-20 وسجل SEVIS الخاص بك.',
+                fr: 'Le responsable désigné du bureau international de votre école, qui gère votre I-20 et votre dossier SEVIS.'
+            }
+        },
+        {
+            term: 'proof of funds',
+            aliases: ['financial documents', 'bank statement', 'proof of financial support'],
+            definition: 'Documents such as bank statements or scholarship letters that show you can pay for tuition and living costs.',
+            translations: {
+                ko: '학비와 생활비를 낼 수 있음을 보여 주는 은행 잔고 증명서나 장학금 서류 같은 자료입니다.',
+                zh: '银行对账单或奖学金信等证明你能支付学费和生活费的文件。',
+                ja: '学費と生活費を払えることを示す、銀行残高証明や奨学金の書類などです。',
+                hi: 'बैंक स्टेटमेंट या छात्रवृत्ति पत्र जैसे दस्तावेज़ जो दिखाते हैं कि आप फ़ीस और रहने का खर्च उठा सकते हैं।',
+                vi: 'Giấy tờ như sao kê ngân hàng hoặc thư học bổng, chứng minh bạn đủ khả năng trả học phí và sinh hoạt phí.',
+                es: 'Documentos como estados de cuenta o cartas de beca que demuestran que puedes pagar la matrícula y los gastos de vida.',
+                pt: 'Documentos como extratos bancários ou cartas de bolsa que mostram que você pode pagar as mensalidades e o custo de vida.',
+                ar: 'مستندات مثل كشوف الحساب البنكي أو خطابات المنح تثبت قدرتك على دفع الرسوم وتكاليف المعيشة.',
+                fr: 'Des documents comme des relevés bancaires ou des lettres de bourse qui prouvent que vous pouvez payer les études et la vie sur place.'
+            }
+        },
+        {
+            term: 'customs declaration',
+            aliases: ['anything to declare', 'declare'],
+            definition: 'Telling customs about items you bring, such as food, plants, or more than $10,000 in cash.',
+            translations: {
+                ko: '음식, 식물, 1만 달러 이상의 현금 등 가지고 온 물품을 세관에 신고하는 것입니다.',
+                zh: '向海关申报你携带的物品，例如食品、植物或超过1万美元的现金。',
+                ja: '食品、植物、1万ドルを超える現金など、持ち込む物を税関に申告することです。',
+                hi: 'सीमा शुल्क को बताना कि आप क्या लाए हैं, जैसे खाना, पौधे, या $10,000 से अधिक नकद।',
+                vi: 'Khai báo với hải quan những thứ bạn mang theo, như thực phẩm, cây cối hoặc hơn 10.000 đô la tiền mặt.',
+                es: 'Informar a la aduana de lo que traes, como comida, plantas o más de 10.000 dólares en efectivo.',
+                pt: 'Informar à alfândega o que você traz, como alimentos, plantas ou mais de 10 mil dólares em dinheiro.',
+                ar: 'إبلاغ الجمارك بما تحمله، مثل الطعام أو النباتات أو أكثر من 10,000 دولار نقدًا.',
+                fr: 'Signaler à la douane ce que vous apportez, comme de la nourriture, des plantes ou plus de 10 000 dollars en espèces.'
+            }
+        },
+        {
+            term: 'biometrics',
+            aliases: ['fingerprints', 'fingerprint scanner', 'look at the camera'],
+            definition: 'Your fingerprints and photo, taken at the desk to confirm your identity. Just follow the officer\'s instructions.',
+            translations: {
+                ko: '신원 확인을 위해 심사대에서 찍는 지문과 사진입니다. 심사관의 안내를 따르면 됩니다.',
+                zh: '在柜台采集的指纹和照片，用来确认你的身份。按照官员的指示做即可。',
+                ja: '本人確認のためカウンターで取る指紋と写真です。審査官の指示に従ってください。',
+                hi: 'पहचान की पुष्टि के लिए काउंटर पर ली गई उंगलियों के निशान और फ़ोटो। बस अधिकारी के निर्देश मानें।',
+                vi: 'Dấu vân tay và ảnh chụp tại quầy để xác minh danh tính. Chỉ cần làm theo hướng dẫn của nhân viên.',
+                es: 'Tus huellas y foto, tomadas en el mostrador para confirmar tu identidad. Solo sigue las instrucciones del oficial.',
+                pt: 'Suas impressões digitais e foto, tiradas no guichê para confirmar sua identidade. Basta seguir as instruções do oficial.',
+                ar: 'بصمات أصابعك وصورتك، تؤخذ عند المكتب للتحقق من هويتك. اتبع تعليمات الضابط فقط.',
+                fr: 'Vos empreintes digitales et votre photo, prises au guichet pour confirmer votre identité. Suivez simplement les instructions de l\'agent.'
+            }
+        }
+    ];
+
+    // One case-insensitive pattern per entry matching its term and aliases,
+    // longest first so "F-1 visa" wins over "F-1". The character before a term
+    // is matched as group 1 rather than with a lookbehind, which Safari only
+    // supports from 16.4.
+    const PATTERNS = GLOSSARY.map(entry => {
+        const phrases = [entry.term].concat(entry.aliases)
+            .sort((a, b) => b.length - a.length)
+            .map(phrase => phrase.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&').replace(/[\s-]+/g, '[\\s-]?'));
+        return { entry, pattern: new RegExp(`(^|[^\\w-])(${phrases.join('|')})(?![\\w-])`, 'gi') };
+    });
+
+    // Glossary terms in `text`, in order and without overlaps:
+    // [{ entry, index, length }]
+    function findGlossaryTerms(text) {
+        const matches = [];
+
+        PATTERNS.forEach(({ entry, pattern }) => {
+            pattern.lastIndex = 0;
+            let match;
+            while ((match = pattern.exec(text)) !== null) {
+                matches.push({ entry, index: match.index + match[1].length, length: match[2].length });
+            }
+        });
+
+        matches.sort((a, b) => a.index - b.index || b.length - a.length);
+
+        const result = [];
+        let end = 0;
+        matches.forEach(match => {
+            if (match.index >= end) {
+                result.push(match);
+                end = match.index + match.length;
+            }
+        });
+
+        return result;
+    }
+
+    function getGlossaryEntry(term) {
+        return GLOSSARY.find(entry => entry.term === term) || null;
+    }
+
+    exports.GLOSSARY = GLOSSARY;
+    exports.findGlossaryTerms = findGlossaryTerms;
+    exports.getGlossaryEntry = getGlossaryEntry;
+})(typeof module !== 'undefined' ? module.exports : (window.glossary = {}));
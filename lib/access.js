@@ -0,0 +1,156 @@
+// Who may use the API, and how much: origin allow-listing, server-issued
+// session IDs with signed tickets, and in-memory rate limits.
+//
+// Configured through environment variables:
+//   ALLOWED_ORIGINS        comma-separated origins allowed to call the API, e.g.
+//                          https://example.vercel.app. Required in production
+//                          (VERCEL_ENV or NODE_ENV is "production"): without it every
+//                          request is refused. Elsewhere it defaults to any origin.
+//   SESSION_TICKET_SECRET  HMAC key for session tickets, shared by every instance.
+//                          Required: without it no session can be started.
+//   SESSION_TICKET_TTL_MS  how long a ticket is valid (default 10 minutes)
+//
+// The origin check only keeps other web pages out; scripts can send any Origin
+// they like, so the tickets and rate limits are what actually bound usage.
+const crypto = require('crypto');
+
+const ALLOWED_ORIGINS = (process.env.ALLOWED_ORIGINS || '')
+  .split(',')
+  .map(origin => origin.trim().replace(/\/$/, ''))
+  .filter(Boolean);
+
+const IS_PRODUCTION = process.env.VERCEL_ENV === 'production' || process.env.NODE_ENV === 'production';
+
+if (ALLOWED_ORIGINS.length === 0 && IS_PRODUCTION) {
+  console.error('ALLOWED_ORIGINS is not configured; refusing all API requests');
+}
+
+const SESSION_TICKET_TTL_MS = parseInt(process.env.SESSION_TICKET_TTL_MS, 10) || 10 * 60 * 1000;
+
+const ticketSecret = process.env.SESSION_TICKET_SECRET;
+if (!ticketSecret) {
+  console.error('SESSION_TICKET_SECRET is not configured; session tickets cannot be issued');
+}
+
+// Set CORS headers for an allowed origin. Returns false if the request comes
+// from an origin that isn't allowed, or doesn't say where it comes from.
+function applyCors(req, res, { methods, headers }) {
+  res.setHeader("Access-Control-Allow-Methods", methods);
+  res.setHeader("Access-Control-Allow-Headers", headers);
+
+  if (ALLOWED_ORIGINS.length === 0) {
+    if (IS_PRODUCTION) return false;
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    return true;
+  }
+
+  res.setHeader("Vary", "Origin");
+
+  const origin = requestOrigin(req);
+  if (!origin || !ALLOWED_ORIGINS.includes(origin)) return false;
+
+  res.setHeader("Access-Control-Allow-Origin", origin);
+  return true;
+}
+
+// Same-origin GETs don't send an Origin header, but browsers still send the
+// page's origin in Referer
+function requestOrigin(req) {
+  if (req.headers.origin) return req.headers.origin;
+
+  try {
+    return new URL(req.headers.referer).origin;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Session IDs come from the server, so a ticket for one can only be had by
+// whoever started it
+function createSessionId() {
+  return `session-${crypto.randomUUID()}`;
+}
+
+// A ticket lets its holder post audio and actions for one session, and renew its
+// Ably token, until it expires:
+// "<expiry>.<signature>", where the signature covers the session ID and expiry.
+// Returns null if no ticket secret is configured.
+function issueSessionTicket(sessionId) {
+  if (!ticketSecret) return null;
+
+  const expiresAt = Date.now() + SESSION_TICKET_TTL_MS;
+  return { ticket: `${expiresAt}.${signTicket(sessionId, expiresAt)}`, expiresAt };
+}
+
+function verifySessionTicket(sessionId, ticket) {
+  if (!ticketSecret || typeof ticket !== 'string') return false;
+
+  const [expiry, signature] = ticket.split('.');
+  const expiresAt = parseInt(expiry, 10);
+  if (!Number.isFinite(expiresAt) || expiresAt < Date.now() || !signature) return false;
+
+  const expected = Buffer.from(signTicket(sessionId, expiresAt));
+  const actual = Buffer.from(signature);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+function signTicket(sessionId, expiresAt) {
+  return crypto.createHmac('sha256', ticketSecret)
+    .update(`${sessionId}.${expiresAt}`)
+    .digest('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+// Fixed-window counter: at most `limit` hits per key in each `windowMs`.
+// hit(key) returns { allowed, retryAfterMs }.
+function createRateLimiter({ limit, windowMs }) {
+  const windows = new Map();
+
+  function hit(key) {
+    const now = Date.now();
+    let window = windows.get(key);
+
+    if (!window || now >= window.resetAt) {
+      window = { count: 0, resetAt: now + windowMs };
+      windows.set(key, window);
+    }
+
+    window.count++;
+    if (window.count > limit) {
+      return { allowed: false, retryAfterMs: window.resetAt - now };
+    }
+    return { allowed: true, retryAfterMs: 0 };
+  }
+
+  // Forget windows that have ended, so the map doesn't grow forever
+  function prune() {
+    const now = Date.now();
+    windows.forEach((window, key) => {
+      if (now >= window.resetAt) {
+        windows.delete(key);
+      }
+    });
+  }
+
+  return { hit, prune };
+}
+
+// The caller's IP address, as seen by Vercel's proxy
+function clientIp(req) {
+  const forwardedFor = req.headers['x-forwarded-for'];
+  if (forwardedFor) {
+    return forwardedFor.split(',')[0].trim();
+  }
+  return (req.socket && req.socket.remoteAddress) || 'unknown';
+}
+
+module.exports = {
+  applyCors,
+  createSessionId,
+  issueSessionTicket,
+  verifySessionTicket,
+  createRateLimiter,
+  clientIp
+};
@@ -0,0 +1,271 @@
+// Shared LLM analysis of interview transcripts, used by api/proxy.js and api/streaming-proxy.js
+const { getLLMProvider } = require('./llm');
+const { GLOSSARY, findGlossaryTerms } = require('../glossary');
+
+// Languages the traveller can choose for explanations of what the officer said
+const SUPPORTED_LANGUAGES = {
+  en: 'English',
+  ko: 'Korean',
+  zh: 'Simplified Chinese',
+  ja: 'Japanese',
+  hi: 'Hindi',
+  vi: 'Vietnamese',
+  es: 'Spanish',
+  pt: 'Portuguese',
+  ar: 'Arabic',
+  fr: 'French'
+};
+
+// Shape of every analysis the model returns. Properties are listed in the order
+// the model is asked to write them, so what the user sees comes first.
+const ANALYSIS_SCHEMA = {
+  type: 'object',
+  required: ['speakerRole', 'tone', 'emoji', 'message', 'explanation', 'suggestedReply', 'glossaryTerms', 'confidence', 'notes'],
+  additionalProperties: false,
+  properties: {
+    speakerRole: { type: 'string', enum: ['officer', 'traveller', 'unknown'] },
+    tone: { type: 'string', minLength: 1, maxLength: 40 },
+    emoji: { type: 'string', minLength: 1, maxLength: 16 },
+    message: { type: 'string', minLength: 1, maxLength: 400 },
+    explanation: { type: ['string', 'null'], maxLength: 600 },
+    suggestedReply: { type: ['string', 'null'], maxLength: 300 },
+    glossaryTerms: { type: 'array', maxItems: 5, items: { type: 'string', enum: GLOSSARY.map(entry => entry.term) } },
+    confidence: { type: 'number', minimum: 0, maximum: 1 },
+    notes: { type: 'string', maxLength: 1000 }
+  }
+};
+
+// Analyze a role-labelled transcript and return an object matching ANALYSIS_SCHEMA,
+// or null if the model fails twice or the request errors. `context` is the earlier
+// conversation from lib/conversation.js, so follow-up questions can be understood.
+// `purpose` selects the model (see lib/llm). With `onPartial`, the first attempt is
+// streamed and onPartial({ emoji, message }) is called as those fields are written;
+// message grows with each call.
+async function analyzeTranscript({ transcript, language = 'en', purpose = 'realtime', context = '', onPartial = null }) {
+  try {
+    if (!transcript || transcript.trim() === '') return null;
+
+    const messages = buildAnalysisMessages(transcript, SUPPORTED_LANGUAGES[language] || 'English', context);
+
+    // One retry: show the model its invalid output and what was wrong with it
+    for (let attempt = 0; attempt < 2; attempt++) {
+      // The retry isn't streamed: what was shown so far is replaced by the final analysis
+      const partialReader = attempt === 0 && onPartial ? createPartialAnalysisReader(onPartial) : null;
+      
+      const content = await getLLMProvider().complete({
+        messages,
+        purpose,
+        task: 'analysis',
+        json: true,
+        onDelta: partialReader ? partialReader.push : null
+      });
+
+      const { analysis, errors } = parseAnalysis(content);
+      if (analysis) return analysis;
+
+      console.error(`Invalid analysis output (attempt ${attempt + 1}):`, errors.join('; '));
+      messages.push(
+        { role: 'assistant', content },
+        { role: 'user', content: `That output was invalid: ${errors.join('; ')}. Reply again with only a JSON object matching the schema.` }
+      );
+    }
+
+    return null;
+  } catch (error) {
+    console.error('Error analyzing transcript:', error);
+    return null;
+  }
+}
+
+function buildAnalysisMessages(transcript, languageName, context) {
+  // Definitions of the jargon in this fragment, so explanations can build on them
+  const glossaryEntries = [];
+  findGlossaryTerms(transcript).forEach(({ entry }) => {
+    if (!glossaryEntries.includes(entry)) glossaryEntries.push(entry);
+  });
+  const glossaryText = glossaryEntries.length > 0 ?
+    glossaryEntries.map(entry => `- ${entry.term}: ${entry.definition}`).join('\n') :
+    '(no glossary terms in this fragment)';
+
+  return [
+    {
+      role: 'system',
+      content: `You are an AI assistant that receives speech-to-text transcripts from immigration officer/foreign student conversations and helps the student (the Traveller).
+
+Each line of the transcript is labelled "Officer:" or "Traveller:". An "Unidentified speaker" has not been assigned a role yet, so infer it from what they say. Lines labelled "App:" are suggestions you already showed the Traveller. Respond to the most recent line, using the earlier conversation to understand follow-up questions (e.g. "And the purpose?" after "What school?") and to avoid repeating earlier suggestions.
+
+Reply with ONLY a JSON object matching this JSON schema:
+${JSON.stringify(ANALYSIS_SCHEMA, null, 2)}
+
+Rules for each field:
+- speakerRole: who said the most recent line.
+- tone: one or two words for how they sounded (e.g. "impatient", "nervous", "neutral").
+- emoji: exactly one emoji for the emotional response the Traveller needs.
+- message: one or two sentences shown to the Traveller. For the Officer, a polite reformulation of what they said if they sounded rude. For the Traveller, a calming, reassuring response if they sounded nervous.
+- explanation: when the Officer spoke, what they are asking or telling the Traveller to do, explained simply in one or two sentences written entirely in ${languageName}. Otherwise null.
+- suggestedReply: when the Officer asked a question or gave an instruction, one short English sentence the Traveller can say back, in plain words a nervous non-native speaker can pronounce. Otherwise null.
+- glossaryTerms: the terms from the glossary below that the Officer used in the most recent line and the Traveller may not know, copied exactly. Use the glossary definitions in your explanation. Otherwise [].
+- confidence: from 0 to 1, how sure you are of the speaker role and tone given transcription errors.
+- notes: your internal analysis of the conversation. This is NOT shown to the Traveller.
+
+Glossary of immigration terms in this fragment:
+${glossaryText}
+
+Do not use markdown. Do not add any text outside the JSON object.`
+    },
+    {
+      role: 'user',
+      content: `Here is a sample of the correct output format I expect:
+
+${JSON.stringify({
+  speakerRole: 'traveller',
+  tone: 'nervous',
+  emoji: '😌',
+  message: "Take a deep breath and try again. You're doing just fine.",
+  explanation: null,
+  suggestedReply: null,
+  glossaryTerms: [],
+  confidence: 0.8,
+  notes: 'The Traveller is showing signs of nervousness with repeated words "give give" and apologizing multiple times.'
+}, null, 2)}
+
+${context ? `Earlier in the conversation:\n\n${context}\n\n` : ''}Now analyze this fragment of an ongoing conversation:
+
+${transcript}`
+    }
+  ];
+}
+
+// Follow a streamed analysis as it is written. The schema puts emoji and message
+// first, so they can be shown before the rest of the JSON has arrived.
+function createPartialAnalysisReader(onPartial) {
+  let content = '';
+  let emoji = null;
+  let message = '';
+  
+  function push(delta) {
+    content += delta;
+    
+    const nextEmoji = emoji || readPartialString(content, 'emoji', true);
+    const nextMessage = readPartialString(content, 'message', false) || message;
+    
+    if (nextEmoji !== emoji || nextMessage !== message) {
+      emoji = nextEmoji;
+      message = nextMessage;
+      onPartial({ emoji, message });
+    }
+  }
+  
+  return { push };
+}
+
+// The value of a string field in incomplete JSON, so far. With `complete`, only
+// once its closing quote has arrived.
+function readPartialString(content, key, complete) {
+  const start = content.match(new RegExp(`"${key}"\\s*:\\s*"`));
+  if (!start) return null;
+  
+  const rest = content.slice(start.index + start[0].length);
+  const end = rest.search(/(?<!\\)(?:\\\\)*"/);
+  let raw;
+  if (end !== -1) {
+    // Up to the closing quote, keeping escaped backslashes before it
+    raw = rest.slice(0, end + rest.slice(end).indexOf('"'));
+  } else if (complete) {
+    return null;
+  } else {
+    // Leave out an escape sequence that is still arriving
+    raw = rest.replace(/(?<!\\)((?:\\\\)*)\\(u[0-9a-fA-F]{0,3})?$/, '$1');
+  }
+  
+  try {
+    return JSON.parse(`"${raw}"`);
+  } catch (error) {
+    return null;
+  }
+}
+
+// Parse model output and check it against the schema
+function parseAnalysis(content) {
+  let analysis;
+  try {
+    // Streamed output isn't held to JSON mode and may come fenced as markdown
+    analysis = JSON.parse(content.trim().replace(/^```(?:json)?\s*|\s*```$/g, ''));
+  } catch (error) {
+    return { analysis: null, errors: ['output is not valid JSON'] };
+  }
+
+  const errors = validateAgainstSchema(analysis, ANALYSIS_SCHEMA);
+  if (errors.length === 0 && !/\p{Extended_Pictographic}/u.test(analysis.emoji)) {
+    errors.push('emoji must be an emoji character');
+  }
+
+  return errors.length === 0 ? { analysis, errors } : { analysis: null, errors };
+}
+
+// Validates the subset of JSON schema used by ANALYSIS_SCHEMA (and lib/practice.js)
+function validateAgainstSchema(value, schema, path = 'value') {
+  const errors = [];
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+  const actualType = value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value;
+
+  if (!types.includes(actualType)) {
+    return [`${path} must be ${types.join(' or ')}`];
+  }
+
+  if (actualType === 'string') {
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push(`${path} must be one of ${schema.enum.join(', ')}`);
+    }
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+      errors.push(`${path} must not be empty`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path} must be at most ${schema.maxLength} characters`);
+    }
+  }
+
+  if (actualType === 'number') {
+    if ((schema.minimum !== undefined && value < schema.minimum) ||
+        (schema.maximum !== undefined && value > schema.maximum)) {
+      errors.push(`${path} must be between ${schema.minimum} and ${schema.maximum}`);
+    }
+  }
+
+  if (actualType === 'array') {
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path} must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateAgainstSchema(item, schema.items, `${path}[${index}]`));
+      });
+    }
+  }
+
+  if (actualType === 'object' && schema.properties) {
+    (schema.required || []).forEach(key => {
+      if (!(key in value)) {
+        errors.push(`${path}.${key} is required`);
+      }
+    });
+
+    Object.keys(value).forEach(key => {
+      if (schema.properties[key]) {
+        errors.push(...validateAgainstSchema(value[key], schema.properties[key], `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key} is not allowed`);
+      }
+    });
+  }
+
+  return errors;
+}
+
+module.exports = {
+  SUPPORTED_LANGUAGES,
+  ANALYSIS_SCHEMA,
+  analyzeTranscript,
+  parseAnalysis,
+  validateAgainstSchema
+};
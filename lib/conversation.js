@@ -0,0 +1,135 @@
+// Rolling per-session conversation history for the analysis prompt.
+// Recent turns are sent verbatim within a token budget; older turns are
+// folded into a short running summary so long interviews stay bounded.
+const { getLLMProvider } = require('./llm');
+
+const CONTEXT_TOKEN_BUDGET = parseInt(process.env.CONTEXT_TOKEN_BUDGET, 10) || 800;
+
+// Hard cap in case summarization keeps failing
+const MAX_TURNS = 200;
+
+function createConversation() {
+  return {
+    // { type: 'utterance', speaker, text } or { type: 'suggestion', text }
+    turns: [],
+    summary: '',
+    summarizing: false
+  };
+}
+
+// Record what someone said. Speakers are stored as IDs and only labelled when
+// the context is built, so a later role swap relabels the history too.
+function addUtterance(conversation, speaker, text) {
+  addTurn(conversation, { type: 'utterance', speaker, text });
+}
+
+// Record a suggestion we showed the traveller, so the model doesn't repeat itself
+function addSuggestion(conversation, analysis) {
+  const text = analysis.suggestedReply ?
+    `${analysis.message} Suggested reply: "${analysis.suggestedReply}"` :
+    analysis.message;
+  addTurn(conversation, { type: 'suggestion', text });
+}
+
+function addTurn(conversation, turn) {
+  conversation.turns.push(turn);
+
+  if (conversation.turns.length > MAX_TURNS) {
+    conversation.turns.splice(0, conversation.turns.length - MAX_TURNS);
+  }
+}
+
+// Earlier conversation as prompt text, excluding the most recent `skipLatest` turns
+// (the ones being analyzed). `labelFor(speakerId)` names a speaker by role.
+function buildContext(conversation, labelFor, { skipLatest = 0, purpose = 'realtime' } = {}) {
+  const history = conversation.turns.slice(0, conversation.turns.length - skipLatest);
+  const { overflow } = splitByBudget(history, labelFor);
+
+  // Fold anything outside the window into the summary. Summarized turns are
+  // dropped from the history, so until the summary covers them they are still
+  // sent verbatim and a follow-up question never loses what it refers to.
+  if (overflow.length > 0) {
+    summarizeOverflow(conversation, overflow, labelFor, purpose);
+  }
+
+  const parts = [];
+  if (conversation.summary) {
+    parts.push(`Summary of the interview so far: ${conversation.summary}`);
+  }
+  if (history.length > 0) {
+    parts.push(history.map(turn => formatTurn(turn, labelFor)).join('\n'));
+  }
+
+  return parts.join('\n\n');
+}
+
+// Newest turns that fit in the budget, and the older ones that don't, to summarize
+function splitByBudget(turns, labelFor) {
+  let tokens = 0;
+  let index = turns.length;
+
+  while (index > 0) {
+    const turnTokens = estimateTokens(formatTurn(turns[index - 1], labelFor));
+    if (tokens + turnTokens > CONTEXT_TOKEN_BUDGET) break;
+    tokens += turnTokens;
+    index--;
+  }
+
+  return { recent: turns.slice(index), overflow: turns.slice(0, index) };
+}
+
+async function summarizeOverflow(conversation, overflow, labelFor, purpose) {
+  if (conversation.summarizing) return;
+  conversation.summarizing = true;
+
+  try {
+    const summary = await getLLMProvider().complete({
+      messages: [
+        {
+          role: 'system',
+          content: 'You summarize immigration interviews between an officer and a traveller. Keep every question the officer asked and the gist of each answer. Reply with at most 80 words of plain text.'
+        },
+        {
+          role: 'user',
+          content: `${conversation.summary ? `Summary so far: ${conversation.summary}\n\n` : ''}Add these turns to the summary:\n\n${overflow.map(turn => formatTurn(turn, labelFor)).join('\n')}`
+        }
+      ],
+      purpose,
+      task: 'summary',
+      maxTokens: 150,
+      temperature: 0.2
+    });
+
+    if (summary) {
+      conversation.summary = summary.trim();
+
+      // The summarized turns are still the oldest ones; newer turns were appended
+      const index = conversation.turns.indexOf(overflow[overflow.length - 1]);
+      if (index !== -1) {
+        conversation.turns.splice(0, index + 1);
+      }
+    }
+  } catch (error) {
+    console.error('Error summarizing conversation:', error);
+  } finally {
+    conversation.summarizing = false;
+  }
+}
+
+function formatTurn(turn, labelFor) {
+  return turn.type === 'suggestion' ?
+    `App: ${turn.text}` :
+    `${labelFor(turn.speaker)}: ${turn.text}`;
+}
+
+// Rough token estimate (about four characters per token for English)
+function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+module.exports = {
+  createConversation,
+  addUtterance,
+  addSuggestion,
+  buildContext
+};
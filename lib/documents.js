@@ -0,0 +1,116 @@
+// Detects when the officer asks the traveller for a document, so the app can
+// show which paper to get out. Used by api/streaming-proxy.js on final transcripts.
+//
+// Keyword rules handle the clear cases ("Passport, please"). The LLM only
+// classifies lines the rules can't decide: a document mentioned without a
+// request ("Is your I-20 signed?") or a request for unnamed "documents".
+const { getLLMProvider } = require('./llm');
+const { validateAgainstSchema } = require('./analysis');
+
+// Documents an F-1 student is asked for at the port of entry. The IDs match the
+// checklist in index.html.
+const DOCUMENT_TYPES = [
+  { id: 'passport', name: 'Passport', pictogram: '🛂', pattern: /\bpassports?\b/i },
+  { id: 'i20', name: 'Form I-20', pictogram: '📄', pattern: /\bi[\s-]?(20|twenty)\b/i },
+  { id: 'visa', name: 'F-1 visa', pictogram: '🪪', pattern: /\bvisas?\b/i },
+  { id: 'funds', name: 'Proof of funds', pictogram: '🏦', pattern: /\b(bank statements?|financial (documents?|proof|support)|proof of (funds|finances|financial support)|scholarship letter|sponsor(ship)? letter)\b/i },
+  { id: 'acceptance', name: 'Acceptance letter', pictogram: '✉️', pattern: /\b(acceptance|admission|admissions) letter\b/i }
+];
+
+// Phrasing officers use to ask for something
+const REQUEST_PATTERN = /\b(show|see|hand|give|pass|need|provide|present|let me|may i|can i|could i|do you have|have you got|please)\b/i;
+
+// Requests that don't say which document
+const GENERIC_PATTERN = /\b(documents?|papers?|paperwork|forms?|letters?|proof)\b/i;
+
+const CLASSIFICATION_SCHEMA = {
+  type: 'object',
+  required: ['isRequest', 'documents'],
+  additionalProperties: false,
+  properties: {
+    isRequest: { type: 'boolean' },
+    documents: { type: 'array', maxItems: DOCUMENT_TYPES.length, items: { type: 'string', enum: DOCUMENT_TYPES.map(doc => doc.id) } }
+  }
+};
+
+// The documents the officer is asking for in `text`, as
+// { documents: [{ id, name, pictogram }], source: 'rules' | 'llm' }, or null if
+// the line isn't a request for a document.
+async function detectDocumentRequest(text) {
+  if (!text || text.trim() === '') return null;
+
+  const mentioned = DOCUMENT_TYPES.filter(doc => doc.pattern.test(text));
+  const isRequest = REQUEST_PATTERN.test(text);
+
+  if (mentioned.length > 0 && isRequest) {
+    return { documents: mentioned.map(describeDocument), source: 'rules' };
+  }
+
+  // Nothing to ask the LLM about
+  if (mentioned.length === 0 && !(isRequest && GENERIC_PATTERN.test(text))) {
+    return null;
+  }
+
+  const classification = await classifyDocumentRequest(text);
+  if (!classification || !classification.isRequest || classification.documents.length === 0) {
+    return null;
+  }
+
+  const ids = classification.documents;
+  return {
+    documents: DOCUMENT_TYPES.filter(doc => ids.includes(doc.id)).map(describeDocument),
+    source: 'llm'
+  };
+}
+
+// Ask the LLM whether `text` requests documents, and which. Returns an object
+// matching CLASSIFICATION_SCHEMA, or null if the output is invalid or the request errors.
+async function classifyDocumentRequest(text) {
+  try {
+    const content = await getLLMProvider().complete({
+      messages: [
+        {
+          role: 'system',
+          content: `You classify lines spoken by a U.S. immigration officer to an arriving F-1 student. Decide whether the officer is asking the student to show or hand over documents, and which ones. The line comes from speech-to-text, so allow for transcription errors.
+
+Document IDs:
+${DOCUMENT_TYPES.map(doc => `- ${doc.id}: ${doc.name}`).join('\n')}
+
+A question about a document that does not ask to see it (e.g. "Is your I-20 signed?") is not a request. For a request for unnamed "documents" or "papers", list the documents officers usually mean: passport, i20 and visa.
+
+Reply with ONLY a JSON object matching this JSON schema:
+${JSON.stringify(CLASSIFICATION_SCHEMA, null, 2)}`
+        },
+        {
+          role: 'user',
+          content: `Officer: ${text}`
+        }
+      ],
+      task: 'document-request',
+      json: true,
+      maxTokens: 100,
+      temperature: 0
+    });
+
+    const classification = JSON.parse(content);
+    const errors = validateAgainstSchema(classification, CLASSIFICATION_SCHEMA);
+    if (errors.length > 0) {
+      console.error('Invalid document request classification:', errors.join('; '));
+      return null;
+    }
+
+    return classification;
+  } catch (error) {
+    console.error('Error classifying document request:', error);
+    return null;
+  }
+}
+
+function describeDocument(doc) {
+  return { id: doc.id, name: doc.name, pictogram: doc.pictogram };
+}
+
+module.exports = {
+  DOCUMENT_TYPES,
+  detectDocumentRequest
+};
@@ -0,0 +1,74 @@
+// LLM provider selection. Every provider exposes the same interface:
+//
+//   complete({ messages, purpose, task, json, maxTokens, temperature, onDelta }) -> Promise<string>
+//
+// `purpose` picks the model ('realtime' for live analysis, 'batch' for whole
+// recordings); `task` names what is being asked so the mock can answer sensibly.
+// With `onDelta`, the completion is streamed: onDelta(text) is called with each
+// piece as it is generated, and the promise still resolves with the whole text.
+//
+// Configured through environment variables:
+//   LLM_PROVIDER     groq (default) | openai-compatible | mock
+//   LLM_BASE_URL     base URL of an OpenAI-compatible server, e.g. http://localhost:11434/v1
+//   LLM_API_KEY      API key for that server, if it needs one
+//   LLM_MODEL        model for every purpose (required for openai-compatible)
+//   LLM_TIMEOUT_MS   per-attempt timeout (default 15000)
+//   LLM_MAX_RETRIES  retries after a timeout, network error, 429 or 5xx (default 2)
+const { createOpenAICompatibleProvider } = require('./openai-compatible');
+const { createMockProvider } = require('./mock');
+
+const GROQ_MODELS = {
+  realtime: 'meta-llama/llama-4-scout-17b-16e-instruct',
+  batch: 'llama3-8b-8192'
+};
+
+let provider = null;
+
+function getLLMProvider() {
+  if (!provider) {
+    provider = createProvider(process.env);
+    console.log(`LLM provider: ${provider.name}`);
+  }
+  return provider;
+}
+
+function createProvider(env) {
+  const options = {
+    timeoutMs: parseInt(env.LLM_TIMEOUT_MS, 10) || 15000,
+    maxRetries: env.LLM_MAX_RETRIES !== undefined ? parseInt(env.LLM_MAX_RETRIES, 10) : 2
+  };
+
+  switch (env.LLM_PROVIDER || 'groq') {
+    case 'groq':
+      return createOpenAICompatibleProvider({
+        ...options,
+        name: 'groq',
+        baseUrl: 'https://api.groq.com/openai/v1',
+        apiKey: env.GROQ_API_KEY,
+        models: env.LLM_MODEL ? { realtime: env.LLM_MODEL, batch: env.LLM_MODEL } : GROQ_MODELS
+      });
+
+    case 'openai-compatible':
+      if (!env.LLM_BASE_URL || !env.LLM_MODEL) {
+        throw new Error('LLM_BASE_URL and LLM_MODEL are required for the openai-compatible provider');
+      }
+      return createOpenAICompatibleProvider({
+        ...options,
+        name: 'openai-compatible',
+        baseUrl: env.LLM_BASE_URL.replace(/\/$/, ''),
+        apiKey: env.LLM_API_KEY,
+        models: { realtime: env.LLM_MODEL, batch: env.LLM_MODEL }
+      });
+
+    case 'mock':
+      return createMockProvider();
+
+    default:
+      throw new Error(`Unknown LLM_PROVIDER: ${env.LLM_PROVIDER}`);
+  }
+}
+
+module.exports = {
+  getLLMProvider,
+  createProvider
+};
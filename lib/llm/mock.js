@@ -0,0 +1,190 @@
+// Deterministic offline provider for development and tests (LLM_PROVIDER=mock).
+// Answers are built from the prompt with simple keyword rules, so the same
+// transcript always produces the same analysis.
+
+const { findGlossaryTerms } = require('../../glossary');
+
+// Common port-of-entry questions and a plain answer to each
+const OFFICER_TOPICS = [
+  { pattern: /purpose|why are you|reason/i, explanation: 'The officer is asking why you are coming to the United States.', reply: 'I am here to study.' },
+  { pattern: /school|university|college|study/i, explanation: 'The officer is asking which school you will attend.', reply: 'I will study at the university on my I-20.' },
+  { pattern: /how long|duration|until when/i, explanation: 'The officer is asking how long you will stay.', reply: 'I will stay until my program ends.' },
+  { pattern: /fund|pay|money|afford|sponsor/i, explanation: 'The officer is asking how you will pay for your studies.', reply: 'My family is paying for my studies.' },
+  { pattern: /address|where .*(stay|live)/i, explanation: 'The officer is asking where you will live.', reply: 'I will live in student housing.' },
+  { pattern: /passport|document|i-20|visa|paper/i, explanation: 'The officer is asking to see your documents.', reply: 'Here are my documents.' }
+];
+
+// Characters per streamed piece
+const MOCK_DELTA_LENGTH = 12;
+
+function createMockProvider() {
+  async function complete({ messages, task, json = false, onDelta = null }) {
+    const content = mockAnswer(messages, task, json);
+
+    // Streamed in small pieces, a tick apart, like a real model
+    if (onDelta) {
+      for (let i = 0; i < content.length; i += MOCK_DELTA_LENGTH) {
+        await new Promise(resolve => setImmediate(resolve));
+        onDelta(content.slice(i, i + MOCK_DELTA_LENGTH));
+      }
+    }
+
+    return content;
+  }
+
+  return { name: 'mock', complete };
+}
+
+// The full answer for a task, as a string
+function mockAnswer(messages, task, json) {
+  switch (task) {
+    case 'analysis':
+      return JSON.stringify(mockAnalysis(messages));
+    case 'summary':
+      return mockSummary(messages);
+    case 'practice-question':
+      return JSON.stringify(mockPracticeQuestion(messages));
+    case 'practice-feedback':
+      return JSON.stringify(mockPracticeFeedback(messages));
+    case 'practice-summary':
+      return JSON.stringify(mockPracticeSummary(messages));
+    case 'document-request':
+      return JSON.stringify(mockDocumentRequest(messages));
+    default:
+      return json ? '{}' : 'Mock response.';
+  }
+}
+
+function mockAnalysis(messages) {
+  const system = messages[0].content;
+  const prompt = messages[messages.length - 1].content;
+
+  // The line being analyzed is the last one of the transcript
+  const transcript = prompt.split('Now analyze this fragment of an ongoing conversation:').pop();
+  const lines = transcript.trim().split('\n').filter(line => line.trim());
+  const lastLine = lines[lines.length - 1] || '';
+
+  const [label, ...rest] = lastLine.split(':');
+  const text = rest.join(':').trim();
+  const speakerRole = label === 'Officer' ? 'officer' : label === 'Traveller' ? 'traveller' : 'unknown';
+
+  const languageMatch = system.match(/written entirely in ([^.]+)\./);
+  const languageName = languageMatch ? languageMatch[1] : 'English';
+
+  if (speakerRole === 'officer') {
+    const topic = OFFICER_TOPICS.find(t => t.pattern.test(text));
+    return {
+      speakerRole,
+      tone: 'neutral',
+      emoji: '🙂',
+      message: `The officer said: "${text}"`,
+      explanation: topic ? `(${languageName}) ${topic.explanation}` : `(${languageName}) The officer said: ${text}`,
+      suggestedReply: topic ? topic.reply : 'Could you please repeat that?',
+      glossaryTerms: Array.from(new Set(findGlossaryTerms(text).map(match => match.entry.term))).slice(0, 5),
+      confidence: topic ? 0.9 : 0.5,
+      notes: `Mock analysis of an officer line${topic ? ` about: ${topic.pattern.source}` : ''}.`
+    };
+  }
+
+  return {
+    speakerRole,
+    tone: 'nervous',
+    emoji: '😌',
+    message: "Take a deep breath. You're doing just fine.",
+    explanation: null,
+    suggestedReply: null,
+    glossaryTerms: [],
+    confidence: speakerRole === 'unknown' ? 0.3 : 0.8,
+    notes: 'Mock analysis of a traveller line.'
+  };
+}
+
+function mockSummary(messages) {
+  // Keep the officer's questions, which is what later turns refer back to
+  const prompt = messages[messages.length - 1].content;
+  const questions = prompt.split('\n')
+    .filter(line => line.startsWith('Officer:'))
+    .map(line => line.slice('Officer:'.length).trim());
+
+  return questions.length > 0 ?
+    `The officer asked: ${questions.join(' ')}` :
+    'The traveller and officer exchanged greetings.';
+}
+
+// Practice interview questions by topic (see lib/practice.js)
+const PRACTICE_QUESTIONS = {
+  purpose: 'What is the purpose of your visit?',
+  school: 'Which school will you attend, and what will you study?',
+  funding: 'How are you paying for your studies?',
+  duration: 'How long will you be staying?',
+  address: 'Where will you be living?'
+};
+
+function mockPracticeQuestion(messages) {
+  const prompt = messages[messages.length - 1].content;
+  const topicMatch = prompt.match(/^Topic: (\w+)$/m);
+
+  return {
+    question: PRACTICE_QUESTIONS[topicMatch && topicMatch[1]] || 'Anything else to declare?'
+  };
+}
+
+// Longer answers score better, so a test can tell a short answer from a full one
+function mockPracticeFeedback(messages) {
+  const prompt = messages[messages.length - 1].content;
+  const answerMatch = prompt.match(/^Answer: (.*)$/m);
+  const answer = answerMatch && answerMatch[1] !== '(no answer)' ? answerMatch[1] : '';
+  const words = answer.split(/\s+/).filter(Boolean).length;
+  const completeness = Math.min(5, 1 + Math.floor(words / 3));
+
+  return {
+    clarity: answer ? 4 : 1,
+    completeness,
+    tone: answer ? 4 : 2,
+    feedback: answer ?
+      'Good, clear answer. Add one more detail to make it complete.' :
+      'Try to answer out loud, even with a short sentence.',
+    betterAnswer: 'I am here to study for my master\'s degree.',
+    explanation: null
+  };
+}
+
+function mockPracticeSummary(messages) {
+  const prompt = messages[messages.length - 1].content;
+  const scores = Array.from(prompt.matchAll(/clarity (\d)\/5, completeness (\d)\/5, tone (\d)\/5/g))
+    .map(match => (Number(match[1]) + Number(match[2]) + Number(match[3])) / 15);
+  const score = scores.length > 0 ?
+    Math.round(100 * scores.reduce((sum, value) => sum + value, 0) / scores.length) : 0;
+
+  return {
+    score,
+    summary: `You answered ${scores.length} questions.`,
+    strengths: 'You stayed polite throughout.',
+    improvements: 'Give specific details such as your school name and address.'
+  };
+}
+
+// Document IDs by keyword (see lib/documents.js); unnamed "documents" mean the usual three
+const MOCK_DOCUMENTS = [
+  { id: 'passport', pattern: /passport/i },
+  { id: 'i20', pattern: /i-?20/i },
+  { id: 'visa', pattern: /visa/i },
+  { id: 'funds', pattern: /bank|fund|financ/i },
+  { id: 'acceptance', pattern: /acceptance|admission/i }
+];
+
+function mockDocumentRequest(messages) {
+  const prompt = messages[messages.length - 1].content;
+  const text = prompt.replace(/^Officer:\s*/, '');
+
+  if (!/\b(show|see|have|need|please|give)\b/i.test(text)) {
+    return { isRequest: false, documents: [] };
+  }
+
+  const documents = MOCK_DOCUMENTS.filter(doc => doc.pattern.test(text)).map(doc => doc.id);
+  return { isRequest: true, documents: documents.length > 0 ? documents : ['passport', 'i20', 'visa'] };
+}
+
+module.exports = {
+  createMockProvider
+};
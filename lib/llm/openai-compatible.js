@@ -0,0 +1,114 @@
+// Chat completions against any OpenAI-compatible API (Groq, llama.cpp, Ollama, ...)
+const fetch = require('node-fetch');
+const { StringDecoder } = require('string_decoder');
+
+// Statuses worth retrying: rate limited, or the server is having trouble
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+function createOpenAICompatibleProvider({ name, baseUrl, apiKey, models, timeoutMs, maxRetries }) {
+  async function complete({ messages, purpose = 'realtime', json = false, maxTokens = 500, temperature = 0.7, onDelta = null }) {
+    // Groq's JSON mode can't be streamed, so streamed JSON relies on the prompt alone
+    const body = JSON.stringify({
+      model: models[purpose] || models.realtime,
+      messages,
+      response_format: json && !onDelta ? { type: 'json_object' } : undefined,
+      stream: onDelta ? true : undefined,
+      temperature,
+      max_tokens: maxTokens
+    });
+
+    for (let attempt = 0; ; attempt++) {
+      let response;
+      try {
+        response = await fetch(`${baseUrl}/chat/completions`, {
+          method: 'POST',
+          headers: {
+            ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}),
+            'Content-Type': 'application/json'
+          },
+          body,
+          timeout: timeoutMs
+        });
+      } catch (error) {
+        // Timeouts and network errors
+        if (attempt < maxRetries) {
+          console.error(`${name} request failed (${error.message}), retrying`);
+          await sleep(backoffDelay(attempt));
+          continue;
+        }
+        throw new Error(`${name} request failed: ${error.message}`);
+      }
+
+      // Once text has been streamed out there is no retrying
+      if (response.ok && onDelta) {
+        return readCompletionStream(response.body, onDelta);
+      }
+      
+      if (response.ok) {
+        const data = await response.json();
+        return data.choices?.[0]?.message?.content || '';
+      }
+
+      const errorText = await response.text();
+      if (RETRYABLE_STATUSES.includes(response.status) && attempt < maxRetries) {
+        console.error(`${name} returned ${response.status}, retrying`);
+        await sleep(retryAfterDelay(response) || backoffDelay(attempt));
+        continue;
+      }
+
+      throw new Error(`${name} returned ${response.status}: ${errorText}`);
+    }
+  }
+
+  return { name, complete };
+}
+
+// Read a streamed completion: server-sent events of "data: <chunk JSON>" lines,
+// ending with "data: [DONE]". Calls onDelta with each piece of text and resolves
+// with the whole text.
+async function readCompletionStream(body, onDelta) {
+  const decoder = new StringDecoder('utf8');
+  let content = '';
+  let buffered = '';
+
+  for await (const chunk of body) {
+    buffered += decoder.write(chunk);
+    const lines = buffered.split('\n');
+    buffered = lines.pop();
+
+    for (const line of lines) {
+      const trimmed = line.trim();
+      if (!trimmed.startsWith('data:')) continue;
+
+      const data = trimmed.slice('data:'.length).trim();
+      if (data === '[DONE]') return content;
+
+      const delta = JSON.parse(data).choices?.[0]?.delta?.content;
+      if (delta) {
+        content += delta;
+        onDelta(delta);
+      }
+    }
+  }
+
+  return content;
+}
+
+// Exponential backoff with jitter: ~0.5s, ~1s, ~2s, ...
+function backoffDelay(attempt) {
+  return 500 * Math.pow(2, attempt) * (0.75 + Math.random() * 0.5);
+}
+
+// Honour a Retry-After header given in seconds, capped so a live request doesn't stall
+function retryAfterDelay(response) {
+  const seconds = parseFloat(response.headers.get('retry-after'));
+  return Number.isFinite(seconds) ? Math.min(seconds * 1000, 5000) : null;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+  createOpenAICompatibleProvider
+};
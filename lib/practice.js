@@ -0,0 +1,184 @@
+// Practice interviews: the LLM plays the immigration officer, then reviews the
+// student's spoken answers. Used by api/practice.js.
+const { getLLMProvider } = require('./llm');
+const { SUPPORTED_LANGUAGES, validateAgainstSchema } = require('./analysis');
+
+// The questions every port-of-entry interview covers, in the order they're asked
+const PRACTICE_TOPICS = [
+  { id: 'purpose', description: 'the purpose of their visit' },
+  { id: 'school', description: 'which school they will attend and what they will study' },
+  { id: 'funding', description: 'how they will pay for tuition and living costs' },
+  { id: 'duration', description: 'how long they will stay and when their program ends' },
+  { id: 'address', description: 'where they will live in the United States' }
+];
+
+const QUESTION_SCHEMA = {
+  type: 'object',
+  required: ['question'],
+  additionalProperties: false,
+  properties: {
+    question: { type: 'string', minLength: 1, maxLength: 200 }
+  }
+};
+
+const FEEDBACK_SCHEMA = {
+  type: 'object',
+  required: ['clarity', 'completeness', 'tone', 'feedback', 'betterAnswer', 'explanation'],
+  additionalProperties: false,
+  properties: {
+    clarity: { type: 'number', minimum: 1, maximum: 5 },
+    completeness: { type: 'number', minimum: 1, maximum: 5 },
+    tone: { type: 'number', minimum: 1, maximum: 5 },
+    feedback: { type: 'string', minLength: 1, maxLength: 400 },
+    betterAnswer: { type: 'string', minLength: 1, maxLength: 300 },
+    explanation: { type: ['string', 'null'], maxLength: 600 }
+  }
+};
+
+const SUMMARY_SCHEMA = {
+  type: 'object',
+  required: ['score', 'summary', 'strengths', 'improvements'],
+  additionalProperties: false,
+  properties: {
+    score: { type: 'number', minimum: 0, maximum: 100 },
+    summary: { type: 'string', minLength: 1, maxLength: 600 },
+    strengths: { type: 'string', maxLength: 400 },
+    improvements: { type: 'string', maxLength: 400 }
+  }
+};
+
+const OFFICER_PERSONA = 'You are a U.S. Customs and Border Protection officer at a port of entry, interviewing an international student who is arriving on an F-1 visa. You are professional, brief and a little formal, like a real officer.';
+
+// The officer's next question on `topicId`, following on from the earlier turns
+async function askPracticeQuestion({ topicId, turns = [] }) {
+  const topic = PRACTICE_TOPICS.find(t => t.id === topicId);
+
+  return completeJson({
+    task: 'practice-question',
+    schema: QUESTION_SCHEMA,
+    messages: [
+      {
+        role: 'system',
+        content: `${OFFICER_PERSONA}
+
+Ask exactly one short question, in plain spoken English. Reply with ONLY a JSON object matching this JSON schema:
+${JSON.stringify(QUESTION_SCHEMA, null, 2)}`
+      },
+      {
+        role: 'user',
+        content: `${formatTurns(turns)}Topic: ${topic.id}
+Ask the student about ${topic.description}.`
+      }
+    ]
+  });
+}
+
+// Feedback on one answer, with an explanation in the student's language
+async function reviewPracticeAnswer({ question, answer, language = 'en' }) {
+  const languageName = SUPPORTED_LANGUAGES[language] || 'English';
+
+  return completeJson({
+    task: 'practice-feedback',
+    schema: FEEDBACK_SCHEMA,
+    messages: [
+      {
+        role: 'system',
+        content: `You coach international students for their port-of-entry interview. Review the student's spoken answer to the officer's question. The answer comes from speech-to-text, so ignore transcription errors and missing punctuation.
+
+Reply with ONLY a JSON object matching this JSON schema:
+${JSON.stringify(FEEDBACK_SCHEMA, null, 2)}
+
+Rules for each field:
+- clarity: 1 to 5, how easy the answer is to understand.
+- completeness: 1 to 5, whether it answers everything the officer asked.
+- tone: 1 to 5, how calm, polite and confident it sounds.
+- feedback: one or two encouraging sentences in English on what to keep and what to change.
+- betterAnswer: a short, natural English answer the student could give instead, using their own details.
+- explanation: the feedback explained simply in ${languageName}, or null if that is English.
+
+Do not use markdown. Do not add any text outside the JSON object.`
+      },
+      {
+        role: 'user',
+        content: `Officer: ${question}
+Answer: ${answer || '(no answer)'}`
+      }
+    ]
+  });
+}
+
+// Scored summary of the whole practice interview
+async function summarizePractice({ turns, language = 'en' }) {
+  const languageName = SUPPORTED_LANGUAGES[language] || 'English';
+
+  return completeJson({
+    task: 'practice-summary',
+    schema: SUMMARY_SCHEMA,
+    purpose: 'batch',
+    messages: [
+      {
+        role: 'system',
+        content: `You coach international students for their port-of-entry interview. Score a practice interview from 0 to 100 on how well the student would do with a real officer, based on clarity, completeness and tone.
+
+Reply with ONLY a JSON object matching this JSON schema:
+${JSON.stringify(SUMMARY_SCHEMA, null, 2)}
+
+Write summary, strengths and improvements in ${languageName}, two sentences at most each. Do not use markdown. Do not add any text outside the JSON object.`
+      },
+      {
+        role: 'user',
+        content: formatTurns(turns)
+      }
+    ]
+  });
+}
+
+function formatTurns(turns) {
+  if (turns.length === 0) return '';
+
+  const lines = turns.map(turn => {
+    const scores = turn.feedback ?
+      ` (clarity ${turn.feedback.clarity}/5, completeness ${turn.feedback.completeness}/5, tone ${turn.feedback.tone}/5)` : '';
+    return `Officer: ${turn.question}\nStudent: ${turn.answer || '(no answer)'}${scores}`;
+  });
+
+  return `The interview so far:\n\n${lines.join('\n\n')}\n\n`;
+}
+
+// Ask for JSON matching `schema`, with one retry showing the model what was
+// wrong. Returns null if both attempts fail or the request errors.
+async function completeJson({ task, schema, messages, purpose = 'realtime' }) {
+  try {
+    for (let attempt = 0; attempt < 2; attempt++) {
+      const content = await getLLMProvider().complete({ messages, purpose, task, json: true });
+
+      let value;
+      let errors;
+      try {
+        value = JSON.parse(content);
+        errors = validateAgainstSchema(value, schema);
+      } catch (error) {
+        errors = ['output is not valid JSON'];
+      }
+      if (errors.length === 0) return value;
+
+      console.error(`Invalid ${task} output (attempt ${attempt + 1}):`, errors.join('; '));
+      messages = messages.concat(
+        { role: 'assistant', content },
+        { role: 'user', content: `That output was invalid: ${errors.join('; ')}. Reply again with only a JSON object matching the schema.` }
+      );
+    }
+
+    return null;
+  } catch (error) {
+    console.error(`Error completing ${task}:`, error);
+    return null;
+  }
+}
+
+module.exports = {
+  PRACTICE_TOPICS,
+  askPracticeQuestion,
+  reviewPracticeAnswer,
+  summarizePractice
+};
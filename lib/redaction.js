@@ -0,0 +1,86 @@
+// Masks personal data in transcript text before it is sent to the LLM or
+// broadcast over Ably, used by api/proxy.js and api/streaming-proxy.js.
+//
+// Configured through environment variables:
+//   REDACTION_DETECTORS  comma-separated detectors to run (default: all of DETECTORS),
+//                        or "none" to turn redaction off
+//   DEEPGRAM_REDACT      Deepgram's own redact option, e.g. "pci,ssn,numbers" (see lib/stt).
+//                        Deepgram masks that text before it reaches us, so the
+//                        traveller can't keep an unredacted copy of it.
+
+const MONTHS = 'Jan(?:uary)?|Feb(?:ruary)?|Mar(?:ch)?|Apr(?:il)?|May|June?|July?|Aug(?:ust)?|Sep(?:t(?:ember)?)?|Oct(?:ober)?|Nov(?:ember)?|Dec(?:ember)?';
+
+// Run in this order, so e.g. digits inside an email aren't taken for a document number
+const DETECTORS = {
+  email: {
+    label: 'EMAIL',
+    pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g
+  },
+  // SEVIS IDs are an N followed by ten digits
+  sevis: {
+    label: 'SEVIS ID',
+    pattern: /\bN[\s-]?\d{10}\b/gi
+  },
+  phone: {
+    label: 'PHONE',
+    pattern: /(?:\+\d{1,3}[\s.-]?)?(?:\(\d{2,4}\)|\b\d{2,4})[\s.-]\d{3,4}[\s.-]\d{3,4}\b/g
+  },
+  // Only dates with a year (birth dates, document expiry); "arriving on March 3rd" stays
+  date: {
+    label: 'DATE',
+    pattern: new RegExp([
+      '\\b\\d{4}-\\d{1,2}-\\d{1,2}\\b',
+      '\\b\\d{1,2}[/.-]\\d{1,2}[/.-](?:\\d{4}|\\d{2})\\b',
+      `\\b(?:${MONTHS})\\.? \\d{1,2}(?:st|nd|rd|th)?,? \\d{4}\\b`,
+      `\\b\\d{1,2}(?:st|nd|rd|th)? (?:of )?(?:${MONTHS})\\.?,? \\d{4}\\b`
+    ].join('|'), 'gi')
+  },
+  // Passport, A-number and receipt numbers, which start with letters (E12345678,
+  // A123456789, EAC2190012345), and bare 6 to 11 digit numbers only when a
+  // document is named just before them - "I have 150000 in savings" stays
+  documentNumber: {
+    label: 'DOCUMENT NUMBER',
+    pattern: new RegExp([
+      '\\b[A-Z]{1,3}\\d{6,10}[A-Z]?\\b',
+      '(?<=\\b(?:passport|visa|I-?94|A-?number|alien number|receipt|case|document)\\b[^.?!\\d]{0,30})\\d{6,11}\\b'
+    ].join('|'), 'gi')
+  },
+  address: {
+    label: 'ADDRESS',
+    pattern: /\b\d{1,5}(?: [A-Z][a-z]+){1,3} (?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Way|Place|Pl|Terrace|Parkway)\b\.?/g
+  }
+};
+
+const enabledDetectors = parseDetectorList(process.env.REDACTION_DETECTORS);
+
+function parseDetectorList(value) {
+  if (!value) return Object.keys(DETECTORS);
+  if (value.trim() === 'none') return [];
+
+  const names = value.split(',').map(name => name.trim()).filter(Boolean);
+  names.forEach(name => {
+    if (!DETECTORS[name]) {
+      console.error(`Unknown redaction detector: ${name}`);
+    }
+  });
+
+  return Object.keys(DETECTORS).filter(name => names.includes(name));
+}
+
+// Replace every match with its label, e.g. "[PHONE]". Returns the masked text
+// and whether anything was masked.
+function redactText(text, detectors = enabledDetectors) {
+  let redacted = text;
+
+  detectors.forEach(name => {
+    const { label, pattern } = DETECTORS[name];
+    redacted = redacted.replace(pattern, `[${label}]`);
+  });
+
+  return { text: redacted, redacted: redacted !== text };
+}
+
+module.exports = {
+  DETECTORS,
+  redactText
+};
@@ -0,0 +1,98 @@
+// Deepgram adapter: live streaming over the SDK's websocket, prerecorded for files
+const { Deepgram } = require('@deepgram/sdk');
+
+function createDeepgramProvider({ apiKey, model, maxSpeakers, redact = [] }) {
+  const options = {
+    model,
+    punctuate: true,
+    smart_format: true,
+    diarize: true,
+    min_speakers: 2,
+    max_speakers: maxSpeakers
+  };
+
+  // Masked by Deepgram itself, on top of lib/redaction.js
+  if (redact.length > 0) {
+    options.redact = redact;
+  }
+
+  function startStream({ onTranscript, onError, onClose }) {
+    const deepgram = new Deepgram(apiKey);
+    const deepgramLive = deepgram.transcription.live({
+      ...options,
+      // Partial hypotheses for the live line; each window ends with an is_final result
+      interim_results: true,
+      encoding: 'linear16',
+      sample_rate: 16000,
+      channels: 1
+    });
+
+    // Audio that arrives while the socket is still connecting
+    let openQueue = [];
+
+    deepgramLive.addListener('open', () => {
+      openQueue.forEach(buffer => deepgramLive.send(buffer));
+      openQueue = [];
+    });
+
+    deepgramLive.addListener('transcriptReceived', (message) => {
+      try {
+        const data = JSON.parse(message);
+        if (data.channel == null) return;
+
+        const alternative = data.channel.alternatives[0];
+        onTranscript({
+          isFinal: !!data.is_final,
+          start: data.start || 0,
+          duration: data.duration || 0,
+          transcript: alternative.transcript,
+          words: alternative.words || []
+        });
+      } catch (error) {
+        console.error('Error processing Deepgram message:', error);
+      }
+    });
+
+    deepgramLive.addListener('error', onError);
+    deepgramLive.addListener('close', onClose);
+
+    return {
+      send(buffer) {
+        const readyState = deepgramLive.getReadyState();
+        if (readyState === 1) {
+          deepgramLive.send(buffer);
+        } else if (readyState === 0) {
+          openQueue.push(buffer);
+        }
+      },
+      keepAlive() {
+        if (deepgramLive.getReadyState() === 1) {
+          deepgramLive.send(JSON.stringify({ type: 'KeepAlive' }));
+        }
+      },
+      finish() {
+        deepgramLive.finish();
+      },
+      isOpen() {
+        return deepgramLive.getReadyState() === 1;
+      }
+    };
+  }
+
+  async function transcribeFile({ buffer, mimetype }) {
+    const deepgram = new Deepgram(apiKey);
+    const response = await deepgram.transcription.preRecorded({ buffer, mimetype }, options);
+
+    const alternative = response?.results?.channels?.[0]?.alternatives?.[0];
+    return {
+      transcript: alternative?.transcript || '',
+      words: alternative?.words || []
+    };
+  }
+
+  return { name: 'deepgram', startStream, transcribeFile };
+}
+
+module.exports = {
+  createDeepgramProvider
+};
@@ -0,0 +1,75 @@
+// Speech-to-text provider selection. Every provider exposes the same interface:
+//
+//   startStream({ onTranscript, onError, onClose }) -> stream
+//     stream.send(buffer)   16 kHz mono 16-bit PCM; queued until the stream opens
+//     stream.keepAlive()    hold the stream open through silence
+//     stream.finish()       flush remaining results, then close (onClose fires)
+//                           onClose also fires if the provider drops the stream
+//     stream.isOpen()
+//
+//   transcribeFile({ buffer, mimetype }) -> Promise<{ transcript, words }>
+//
+// onTranscript receives { isFinal, start, duration, transcript, words }, where
+// words are { word, punctuated_word, start, end, speaker } as Deepgram returns them.
+// Providers may send interim results (isFinal false) for the audio window they are
+// still hearing; the next final result replaces them.
+//
+// Configured through environment variables:
+//   STT_PROVIDER      deepgram (default) | whisper | replay
+//   STT_MAX_SPEAKERS  diarization upper bound (default 2: officer and traveller)
+//   DEEPGRAM_MODEL    Deepgram model (default nova-2-phonecall)
+//   DEEPGRAM_REDACT   comma-separated Deepgram redact entities, e.g. pci,ssn,numbers (default off)
+//   WHISPER_URL       base URL of a Whisper-compatible server, e.g. http://localhost:8000/v1
+//   WHISPER_MODEL     model name sent to that server (default whisper-1)
+//   STT_REPLAY_FILE   fixture for the replay provider (default fixtures/replay-interview.json)
+const path = require('path');
+const { createDeepgramProvider } = require('./deepgram');
+const { createWhisperProvider } = require('./whisper');
+const { createReplayProvider } = require('./replay');
+
+let provider = null;
+
+function getSTTProvider() {
+  if (!provider) {
+    provider = createProvider(process.env);
+    console.log(`STT provider: ${provider.name}`);
+  }
+  return provider;
+}
+
+function createProvider(env) {
+  const maxSpeakers = parseInt(env.STT_MAX_SPEAKERS, 10) || 2;
+
+  switch (env.STT_PROVIDER || 'deepgram') {
+    case 'deepgram':
+      return createDeepgramProvider({
+        apiKey: env.DEEPGRAM_API_KEY,
+        model: env.DEEPGRAM_MODEL || 'nova-2-phonecall',
+        maxSpeakers,
+        redact: env.DEEPGRAM_REDACT ? env.DEEPGRAM_REDACT.split(',').map(entity => entity.trim()).filter(Boolean) : []
+      });
+
+    case 'whisper':
+      if (!env.WHISPER_URL) {
+        throw new Error('WHISPER_URL is required for the whisper provider');
+      }
+      return createWhisperProvider({
+        baseUrl: env.WHISPER_URL.replace(/\/$/, ''),
+        apiKey: env.WHISPER_API_KEY,
+        model: env.WHISPER_MODEL || 'whisper-1'
+      });
+
+    case 'replay':
+      return createReplayProvider({
+        file: env.STT_REPLAY_FILE || path.join(__dirname, '..', '..', 'fixtures', 'replay-interview.json')
+      });
+
+    default:
+      throw new Error(`Unknown STT_PROVIDER: ${env.STT_PROVIDER}`);
+  }
+}
+
+module.exports = {
+  getSTTProvider,
+  createProvider
+};
@@ -0,0 +1,96 @@
+// Replay adapter: ignores the audio and plays back a scripted interview from a
+// fixture file, so the streaming flow through Ably to the UI can be exercised
+// locally without a speech-to-text account. Utterances are emitted on a wall
+// clock from when the stream starts: an interim result with the first half of
+// the words midway through, then the final at `at` + `duration` seconds.
+const fs = require('fs');
+
+function createReplayProvider({ file }) {
+  function loadUtterances() {
+    const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return fixture.utterances;
+  }
+
+  function startStream({ onTranscript, onError, onClose }) {
+    let utterances;
+    try {
+      utterances = loadUtterances();
+    } catch (error) {
+      setImmediate(() => onError(error));
+      utterances = [];
+    }
+
+    let open = true;
+    const timers = [].concat(...utterances.map(utterance => [
+      setTimeout(() => onTranscript(toInterimResult(utterance)), (utterance.at + utterance.duration / 2) * 1000),
+      setTimeout(() => onTranscript(toResult(utterance)), (utterance.at + utterance.duration) * 1000)
+    ]));
+
+    return {
+      send() {
+        // The script plays regardless of what is said
+      },
+      keepAlive() {},
+      finish() {
+        if (!open) return;
+        open = false;
+
+        // Like a real provider flushing its last results: deliver what has
+        // already been "spoken", drop the rest of the script
+        timers.forEach(clearTimeout);
+        setImmediate(onClose);
+      },
+      isOpen() {
+        return open;
+      }
+    };
+  }
+
+  async function transcribeFile() {
+    const results = loadUtterances().map(toResult);
+    return {
+      transcript: results.map(result => result.transcript).join(' '),
+      words: [].concat(...results.map(result => result.words))
+    };
+  }
+
+  return { name: 'replay', startStream, transcribeFile };
+}
+
+// A final Deepgram-style result, with the utterance's words spread evenly over its duration
+function toResult(utterance) {
+  const tokens = utterance.text.split(/\s+/).filter(Boolean);
+  const step = utterance.duration / Math.max(tokens.length, 1);
+
+  return {
+    isFinal: true,
+    start: utterance.at,
+    duration: utterance.duration,
+    transcript: utterance.text,
+    words: tokens.map((token, index) => ({
+      word: token.toLowerCase().replace(/[^\p{L}\p{N}'-]/gu, ''),
+      punctuated_word: token,
+      start: utterance.at + step * index,
+      end: utterance.at + step * (index + 1),
+      speaker: utterance.speaker
+    }))
+  };
+}
+
+// What a provider might have heard halfway through an utterance
+function toInterimResult(utterance) {
+  const result = toResult(utterance);
+  const words = result.words.slice(0, Math.ceil(result.words.length / 2));
+
+  return {
+    ...result,
+    isFinal: false,
+    duration: utterance.duration / 2,
+    transcript: words.map(word => word.punctuated_word).join(' '),
+    words
+  };
+}
+
+module.exports = {
+  createReplayProvider
+};
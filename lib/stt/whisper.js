@@ -0,0 +1,176 @@
+// Adapter for self-hosted Whisper servers exposing the OpenAI-compatible
+// /audio/transcriptions endpoint (faster-whisper-server, whisper.cpp, ...).
+// Whisper doesn't stream or diarize: live audio is transcribed in fixed
+// windows, and every word is attributed to speaker 0.
+const fetch = require('node-fetch');
+
+const WINDOW_SECONDS = 4;
+const BYTES_PER_SECOND = 16000 * 2;
+const REQUEST_TIMEOUT_MS = 30000;
+
+function createWhisperProvider({ baseUrl, apiKey, model }) {
+  async function transcribe(buffer, filename, mimetype) {
+    const boundary = `----whisper${Date.now().toString(16)}`;
+    const body = buildMultipartBody(boundary, [
+      { name: 'file', filename, contentType: mimetype, data: buffer },
+      { name: 'model', data: model },
+      { name: 'response_format', data: 'verbose_json' },
+      { name: 'timestamp_granularities[]', data: 'word' }
+    ]);
+
+    const response = await fetch(`${baseUrl}/audio/transcriptions`, {
+      method: 'POST',
+      headers: {
+        ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}),
+        'Content-Type': `multipart/form-data; boundary=${boundary}`
+      },
+      body,
+      timeout: REQUEST_TIMEOUT_MS
+    });
+
+    if (!response.ok) {
+      throw new Error(`Whisper returned ${response.status}: ${await response.text()}`);
+    }
+
+    return response.json();
+  }
+
+  function startStream({ onTranscript, onError, onClose }) {
+    let buffers = [];
+    let bufferedBytes = 0;
+    let position = 0;
+    let open = true;
+    // Windows are transcribed one at a time so results arrive in order
+    let pending = Promise.resolve();
+
+    function transcribeWindow() {
+      if (bufferedBytes === 0) return;
+
+      const pcm = Buffer.concat(buffers);
+      const offset = position;
+      buffers = [];
+      bufferedBytes = 0;
+      position += pcm.length / BYTES_PER_SECOND;
+
+      pending = pending
+        .then(() => transcribe(wrapPcmAsWav(pcm), 'audio.wav', 'audio/wav'))
+        .then(result => {
+          const words = toWords(result, offset);
+          onTranscript({
+            isFinal: true,
+            start: offset,
+            duration: pcm.length / BYTES_PER_SECOND,
+            transcript: (result.text || '').trim(),
+            words
+          });
+        })
+        .catch(onError);
+    }
+
+    return {
+      send(buffer) {
+        if (!open) return;
+
+        buffers.push(buffer);
+        bufferedBytes += buffer.length;
+        if (bufferedBytes >= WINDOW_SECONDS * BYTES_PER_SECOND) {
+          transcribeWindow();
+        }
+      },
+      keepAlive() {
+        // Nothing to hold open - every window is its own request
+      },
+      finish() {
+        if (!open) return;
+
+        transcribeWindow();
+        open = false;
+        pending.then(onClose);
+      },
+      isOpen() {
+        return open;
+      }
+    };
+  }
+
+  async function transcribeFile({ buffer, mimetype }) {
+    const extension = (mimetype.split('/')[1] || 'webm').split(';')[0];
+    const result = await transcribe(buffer, `audio.${extension}`, mimetype);
+
+    return {
+      transcript: (result.text || '').trim(),
+      words: toWords(result, 0)
+    };
+  }
+
+  return { name: 'whisper', startStream, transcribeFile };
+}
+
+// Deepgram-style words from a verbose_json response. Servers without word
+// timestamps only return segments, so spread each segment's words across it.
+function toWords(result, offset) {
+  if (Array.isArray(result.words) && result.words.length > 0) {
+    return result.words.map(w => toWord(w.word.trim(), w.start, w.end, offset));
+  }
+
+  const words = [];
+  (result.segments || []).forEach(segment => {
+    const segmentWords = segment.text.trim().split(/\s+/).filter(Boolean);
+    const step = (segment.end - segment.start) / Math.max(segmentWords.length, 1);
+
+    segmentWords.forEach((word, index) => {
+      const start = segment.start + step * index;
+      words.push(toWord(word, start, start + step, offset));
+    });
+  });
+  return words;
+}
+
+function toWord(text, start, end, offset) {
+  return {
+    word: text.toLowerCase().replace(/[^\p{L}\p{N}'-]/gu, ''),
+    punctuated_word: text,
+    start: start + offset,
+    end: end + offset,
+    speaker: 0
+  };
+}
+
+// 44-byte RIFF header for 16 kHz mono 16-bit PCM
+function wrapPcmAsWav(pcm) {
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + pcm.length, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(1, 22);
+  header.writeUInt32LE(16000, 24);
+  header.writeUInt32LE(BYTES_PER_SECOND, 28);
+  header.writeUInt16LE(2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36);
+  header.writeUInt32LE(pcm.length, 40);
+  return Buffer.concat([header, pcm]);
+}
+
+function buildMultipartBody(boundary, fields) {
+  const parts = fields.map(field => {
+    const disposition = field.filename ?
+      `Content-Disposition: form-data; name="${field.name}"; filename="${field.filename}"\r\nContent-Type: ${field.contentType}` :
+      `Content-Disposition: form-data; name="${field.name}"`;
+
+    return Buffer.concat([
+      Buffer.from(`--${boundary}\r\n${disposition}\r\n\r\n`),
+      Buffer.isBuffer(field.data) ? field.data : Buffer.from(field.data),
+      Buffer.from('\r\n')
+    ]);
+  });
+
+  return Buffer.concat([...parts, Buffer.from(`--${boundary}--\r\n`)]);
+}
+
+module.exports = {
+  createWhisperProvider
+};
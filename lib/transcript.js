@@ -0,0 +1,48 @@
+// Shared handling of diarized transcripts, used by api/proxy.js and api/streaming-proxy.js
+
+// Group consecutive words spoken by the same speaker into segments
+// of { text, start, end, speaker }
+function groupWordsBySpeaker(words) {
+  const formattedSegments = [];
+  let currentSegment = { text: '', start: 0, end: 0, speaker: -1 };
+
+  words.forEach(word => {
+    const text = word.punctuated_word || word.word;
+    const speaker = word.speaker || 0;
+
+    if (currentSegment.speaker === -1 || currentSegment.speaker !== speaker) {
+      if (currentSegment.speaker !== -1) {
+        formattedSegments.push(currentSegment);
+      }
+
+      currentSegment = {
+        text,
+        start: word.start,
+        end: word.end,
+        speaker
+      };
+    } else {
+      currentSegment.text += ' ' + text;
+      currentSegment.end = word.end;
+    }
+  });
+
+  if (currentSegment.speaker !== -1) {
+    formattedSegments.push(currentSegment);
+  }
+
+  return formattedSegments;
+}
+
+// How a speaker is named in the transcript sent to the LLM, given the
+// { "<speaker id>": "officer" | "traveller" } role mapping
+function speakerLabel(roles, speakerId) {
+  if (roles[speakerId] === 'officer') return 'Officer';
+  if (roles[speakerId] === 'traveller') return 'Traveller';
+  return `Unidentified speaker ${speakerId}`;
+}
+
+module.exports = {
+  groupWordsBySpeaker,
+  speakerLabel
+};
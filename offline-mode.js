@@ -0,0 +1,59 @@
+// Installable, offline-capable app: registers the service worker that caches the
+// shell (service-worker.js), and while there is no connection shows what still
+// works - the glossary, the document checklist and saved sessions. Buffering
+// audio through short drops is handled by the upload queue in streaming-script.js.
+// Loaded last.
+
+const offlinePanelEl = document.getElementById('offline-panel');
+const offlineGlossaryListEl = document.getElementById('offline-glossary-list');
+const offlineChecklistBtn = document.getElementById('offlineChecklistBtn');
+const offlineHistoryBtn = document.getElementById('offlineHistoryBtn');
+const documentChecklistEl = document.getElementById('document-checklist');
+const historyContainerEl = document.getElementById('history-container');
+
+if ('serviceWorker' in navigator) {
+    window.addEventListener('load', function() {
+        navigator.serviceWorker.register('/service-worker.js')
+            .catch(error => console.error('Service worker registration failed:', error));
+    });
+}
+
+offlineChecklistBtn.addEventListener('click', function() {
+    documentChecklistEl.open = true;
+    documentChecklistEl.scrollIntoView({ behavior: 'smooth' });
+});
+
+offlineHistoryBtn.addEventListener('click', function() {
+    if (!isFoldVisible) {
+        toggleFold();
+    }
+    historyContainerEl.scrollIntoView({ behavior: 'smooth' });
+});
+
+window.addEventListener('offline', updateOfflinePanel);
+
+// Reconnecting is up to connection-health.js
+window.addEventListener('online', updateOfflinePanel);
+
+function updateOfflinePanel() {
+    const offline = !navigator.onLine;
+    offlinePanelEl.classList.toggle('hidden', !offline);
+
+    if (offline && !isRecording) {
+        statusEl.textContent = 'Offline - recording will be available when you reconnect';
+    }
+}
+
+// Every glossary term, tappable for the same popover as in the transcript
+function renderOfflineGlossary() {
+    glossary.GLOSSARY.forEach(entry => {
+        const itemEl = document.createElement('p');
+        itemEl.className = 'offline-glossary-item';
+        itemEl.appendChild(createGlossaryTermButton(entry.term, entry.term));
+        itemEl.appendChild(document.createTextNode(` ${entry.definition}`));
+        offlineGlossaryListEl.appendChild(itemEl);
+    });
+}
+
+renderOfflineGlossary();
+updateOfflinePanel();
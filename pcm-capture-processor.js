@@ -0,0 +1,96 @@
+// AudioWorklet processor that turns microphone input into 16 kHz 16-bit PCM chunks
+// Loaded by setupStreamingAudio() in streaming-script.js
+
+const TARGET_SAMPLE_RATE = 16000;
+const CHUNK_DURATION_MS = 250;
+const CHUNK_SAMPLES = TARGET_SAMPLE_RATE * CHUNK_DURATION_MS / 1000;
+
+class PcmCaptureProcessor extends AudioWorkletProcessor {
+    constructor() {
+        super();
+
+        // Browsers may ignore the 16 kHz we ask the AudioContext for, so resample
+        // from whatever rate we actually got (`sampleRate` is the context's rate)
+        this.ratio = sampleRate / TARGET_SAMPLE_RATE;
+
+        // Downsampling state: average of the input samples in the current output period
+        this.sum = 0;
+        this.count = 0;
+        this.position = 0;
+
+        // Upsampling state: the previous input sample for linear interpolation
+        this.previousSample = 0;
+
+        this.chunk = new Int16Array(CHUNK_SAMPLES);
+        this.chunkLength = 0;
+
+        this.port.onmessage = (event) => {
+            if (event.data.type === 'flush') {
+                this.flush();
+                this.port.postMessage({ type: 'flushed' });
+            }
+        };
+    }
+
+    process(inputs) {
+        const input = inputs[0] && inputs[0][0];
+        if (!input) return true;
+
+        if (this.ratio === 1) {
+            for (let i = 0; i < input.length; i++) {
+                this.pushSample(input[i]);
+            }
+        } else if (this.ratio > 1) {
+            // Average each output period's input samples, which also filters out
+            // most of the high frequencies that would otherwise alias
+            for (let i = 0; i < input.length; i++) {
+                this.sum += input[i];
+                this.count++;
+                this.position++;
+
+                if (this.position >= this.ratio) {
+                    this.pushSample(this.sum / this.count);
+                    this.sum = 0;
+                    this.count = 0;
+                    this.position -= this.ratio;
+                }
+            }
+        } else {
+            // Input is below 16 kHz - interpolate between neighbouring samples
+            for (let i = 0; i < input.length; i++) {
+                const sample = input[i];
+
+                while (this.position < 1) {
+                    this.pushSample(this.previousSample + (sample - this.previousSample) * this.position);
+                    this.position += this.ratio;
+                }
+
+                this.position -= 1;
+                this.previousSample = sample;
+            }
+        }
+
+        return true;
+    }
+
+    pushSample(value) {
+        // Convert to 16-bit PCM
+        const s = Math.max(-1, Math.min(1, value));
+        this.chunk[this.chunkLength++] = s < 0 ? s * 0x8000 : s * 0x7FFF;
+
+        if (this.chunkLength === CHUNK_SAMPLES) {
+            this.flush();
+        }
+    }
+
+    // Send whatever has been collected, even if it is less than a full chunk
+    flush() {
+        if (this.chunkLength === 0) return;
+
+        const buffer = this.chunk.buffer.slice(0, this.chunkLength * 2);
+        this.port.postMessage({ type: 'chunk', buffer }, [buffer]);
+        this.chunkLength = 0;
+    }
+}
+
+registerProcessor('pcm-capture-processor', PcmCaptureProcessor);
@@ -0,0 +1,267 @@
+// Practice mode: rehearse the port-of-entry interview before landing. The
+// officer's questions come from /api/practice and are read aloud; the student's
+// spoken answers are transcribed through the normal streaming session and
+// reviewed one by one, ending with a scored summary. Loaded after streaming-script.js.
+
+// Finals can trail the end of speech, so keep listening this long after "Done"
+const PRACTICE_ANSWER_GRACE_MS = 1500;
+
+// Practice elements
+const practiceBtn = document.getElementById('practiceBtn');
+const practicePanelEl = document.getElementById('practice-panel');
+const practiceProgressEl = document.getElementById('practice-progress');
+const practiceQuestionEl = document.getElementById('practice-question');
+const practiceAnswerEl = document.getElementById('practice-answer');
+const practiceFeedbackEl = document.getElementById('practice-feedback');
+const practiceDoneBtn = document.getElementById('practiceDoneBtn');
+const practiceNextBtn = document.getElementById('practiceNextBtn');
+const practiceEndBtn = document.getElementById('practiceEndBtn');
+
+let practiceActive = false;
+let practiceTurns = [];
+let practiceQuestion = null;
+let practiceRemaining = 0;
+let practiceListening = false;
+let practiceAnswerSegments = [];
+
+practiceBtn.addEventListener('click', function() {
+    startPractice();
+});
+
+practiceDoneBtn.addEventListener('click', function() {
+    finishPracticeAnswer();
+});
+
+practiceNextBtn.addEventListener('click', function() {
+    askNextPracticeQuestion();
+});
+
+practiceEndBtn.addEventListener('click', function() {
+    endPractice();
+});
+
+async function startPractice() {
+    if (isRecording) return;
+
+    // Answers are transcribed live, which batch mode can't do
+    if (!ablyClient || ablyClient.connection.state !== 'connected') {
+        statusEl.textContent = 'Practice needs streaming mode, which is not available right now';
+        return;
+    }
+
+    practiceActive = true;
+    practiceTurns = [];
+    practiceQuestion = null;
+
+    await startRecording();
+
+    // The browser may still have fallen back to batch mode
+    if (!isStreaming) {
+        if (isRecording) {
+            stopRecording();
+        }
+        practiceActive = false;
+        statusEl.textContent = 'Practice needs streaming mode, which is not available right now';
+        return;
+    }
+
+    practiceBtn.classList.add('hidden');
+    practicePanelEl.classList.remove('hidden');
+    analysisEl.innerHTML = '';
+    practiceFeedbackEl.innerHTML = '';
+    askNextPracticeQuestion();
+}
+
+function endPractice() {
+    practiceActive = false;
+    practiceListening = false;
+
+    if (window.speechSynthesis) {
+        cancelSpeech();
+    }
+    if (isRecording) {
+        stopRecording();
+    }
+
+    practicePanelEl.classList.add('hidden');
+    practiceBtn.classList.remove('hidden');
+}
+
+async function askNextPracticeQuestion() {
+    setPracticeButtons({});
+    practiceAnswerEl.textContent = '';
+    practiceFeedbackEl.innerHTML = '';
+    practiceQuestionEl.textContent = '...';
+
+    const result = await postPractice({ action: 'question', turns: practiceTurns });
+    if (!practiceActive) return;
+    if (!result) {
+        practiceQuestionEl.textContent = 'The officer could not be reached.';
+        setPracticeButtons({ next: 'Try again' });
+        return;
+    }
+
+    if (result.done) {
+        showPracticeSummary();
+        return;
+    }
+
+    practiceQuestion = result.question;
+    practiceRemaining = result.remaining;
+    practiceProgressEl.textContent = `Question ${practiceTurns.length + 1} of ${practiceTurns.length + 1 + result.remaining}`;
+    practiceQuestionEl.textContent = result.question;
+    emojiDisplayEl.textContent = '👮';
+
+    // The officer asks out loud, whatever the read-aloud setting
+    if (window.speechSynthesis) {
+        cancelSpeech();
+        await speakUtterances([createUtterance(result.question, 'en')]);
+    }
+    if (!practiceActive) return;
+
+    practiceAnswerSegments = [];
+    practiceListening = true;
+    setPracticeButtons({ done: true });
+    statusEl.textContent = 'Answer out loud, then tap "I\'m done"';
+}
+
+// Final transcripts of the student's answer, from handleTranscriptionMessage()
+function collectPracticeAnswer(segments) {
+    if (!practiceListening) return;
+
+    practiceAnswerSegments.push(...segments);
+    practiceAnswerEl.textContent = practiceAnswerSegments.map(segment => segment.text).join(' ');
+}
+
+async function finishPracticeAnswer() {
+    setPracticeButtons({});
+    statusEl.textContent = 'Reviewing your answer...';
+
+    await new Promise(resolve => setTimeout(resolve, PRACTICE_ANSWER_GRACE_MS));
+    practiceListening = false;
+    if (!practiceActive) return;
+
+    const answer = practiceAnswerSegments.map(segment => segment.text).join(' ');
+    const turn = { question: practiceQuestion, answer, feedback: null };
+
+    const result = await postPractice({ action: 'feedback', question: practiceQuestion, answer });
+    if (!practiceActive) return;
+
+    if (result) {
+        turn.feedback = result.feedback;
+        showPracticeFeedback(result.feedback);
+    } else {
+        practiceFeedbackEl.textContent = 'Feedback is not available for this answer.';
+    }
+
+    practiceTurns.push(turn);
+    statusEl.textContent = 'Recording (practice mode)...';
+    setPracticeButtons({ next: practiceRemaining > 0 ? 'Next question' : 'See my score' });
+}
+
+function showPracticeFeedback(feedback) {
+    practiceFeedbackEl.innerHTML = '';
+
+    const scoresEl = document.createElement('p');
+    scoresEl.className = 'practice-scores';
+    scoresEl.textContent = `Clarity ${feedback.clarity}/5 · Completeness ${feedback.completeness}/5 · Tone ${feedback.tone}/5`;
+    practiceFeedbackEl.appendChild(scoresEl);
+
+    const feedbackEl = document.createElement('p');
+    feedbackEl.textContent = feedback.feedback;
+    practiceFeedbackEl.appendChild(feedbackEl);
+
+    if (feedback.explanation) {
+        const explanationEl = document.createElement('p');
+        explanationEl.className = 'native-explanation';
+        explanationEl.lang = travellerLanguage;
+        explanationEl.textContent = feedback.explanation;
+        practiceFeedbackEl.appendChild(explanationEl);
+    }
+
+    const betterEl = document.createElement('p');
+    betterEl.className = 'suggested-reply';
+    const labelEl = document.createElement('span');
+    labelEl.className = 'suggested-reply-label';
+    labelEl.textContent = 'You could say:';
+    betterEl.appendChild(labelEl);
+    betterEl.appendChild(document.createTextNode(` "${feedback.betterAnswer}"`));
+    practiceFeedbackEl.appendChild(betterEl);
+
+    const average = (feedback.clarity + feedback.completeness + feedback.tone) / 3;
+    emojiDisplayEl.textContent = average >= 4 ? '🌟' : average >= 3 ? '🙂' : '💪';
+
+    speakAnalysis(feedback.feedback, feedback.explanation || '');
+}
+
+async function showPracticeSummary() {
+    setPracticeButtons({});
+    practiceProgressEl.textContent = 'Practice complete';
+    practiceQuestionEl.textContent = 'Scoring your interview...';
+    practiceAnswerEl.textContent = '';
+    practiceFeedbackEl.innerHTML = '';
+
+    // Nothing left to transcribe
+    if (isRecording) {
+        stopRecording();
+    }
+
+    const result = await postPractice({ action: 'summary', turns: practiceTurns });
+    if (!practiceActive) return;
+
+    if (!result) {
+        practiceQuestionEl.textContent = 'Your score is not available right now.';
+        setPracticeButtons({ end: true });
+        return;
+    }
+
+    const summary = result.summary;
+    practiceQuestionEl.textContent = `Your score: ${Math.round(summary.score)}/100`;
+    emojiDisplayEl.textContent = summary.score >= 80 ? '🎉' : summary.score >= 50 ? '👍' : '📚';
+
+    [
+        ['', summary.summary],
+        ['Strengths: ', summary.strengths],
+        ['To improve: ', summary.improvements]
+    ].forEach(([label, text]) => {
+        if (!text) return;
+        const paragraphEl = document.createElement('p');
+        paragraphEl.lang = travellerLanguage;
+        paragraphEl.textContent = label + text;
+        practiceFeedbackEl.appendChild(paragraphEl);
+    });
+
+    statusEl.textContent = 'Practice complete.';
+    setPracticeButtons({ end: true });
+}
+
+// Show only the buttons for the current step, e.g. { done: true } or { next: 'Next question' }
+function setPracticeButtons({ done = false, next = null, end = false }) {
+    practiceDoneBtn.classList.toggle('hidden', !done);
+    practiceNextBtn.classList.toggle('hidden', !next);
+    practiceNextBtn.textContent = next || '';
+    practiceEndBtn.textContent = end ? 'Close' : 'End practice';
+}
+
+async function postPractice(body) {
+    try {
+        const response = await fetch('/api/practice', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ ...body, language: travellerLanguage })
+        });
+
+        if (!response.ok) {
+            reportAccessError(response);
+            console.error('Practice request failed:', await response.text());
+            return null;
+        }
+
+        return await response.json();
+    } catch (error) {
+        console.error('Error in practice request:', error);
+        return null;
+    }
+}
@@ -208,7 +208,7 @@ function displayTranscription(output) {
     });
 }
 
-function displayAnalysis(analysisText) {
+function displayAnalysis(analysis) {
     if (!analysisEl) {
         console.log('Analysis element not found, creating one');
         // Create the element if it doesn't exist
@@ -223,40 +223,29 @@ function displayAnalysis(analysisText) {
         analysisEl = document.getElementById('analysis');
     }
     
-    if (!analysisText) {
+    if (!analysis) {
         analysisEl.textContent = 'No analysis available';
         return;
     }
     
     analysisEl.innerHTML = '';
     
-    // Format the analysis text with Markdown-like handling
-    const paragraphs = analysisText.split('\n\n');
-    paragraphs.forEach(paragraph => {
-        if (paragraph.trim().startsWith('#')) {
-            // Handle heading
-            const headingEl = document.createElement('h3');
-            headingEl.textContent = paragraph.trim().replace(/^#+\s/, '');
-            analysisEl.appendChild(headingEl);
-        } else if (paragraph.trim().startsWith('-') || paragraph.trim().startsWith('*')) {
-            // Handle list
-            const ulEl = document.createElement('ul');
-            const listItems = paragraph.trim().split('\n');
-            listItems.forEach(item => {
-                if (item.trim()) {
-                    const liEl = document.createElement('li');
-                    liEl.textContent = item.trim().replace(/^[-*]\s/, '');
-                    ulEl.appendChild(liEl);
-                }
-            });
-            analysisEl.appendChild(ulEl);
-        } else if (paragraph.trim()) {
-            // Regular paragraph
-            const pEl = document.createElement('p');
-            pEl.textContent = paragraph.trim();
-            analysisEl.appendChild(pEl);
-        }
-    });
+    // The analysis is { emoji, message, explanation, suggestedReply } (see lib/analysis.js)
+    const headingEl = document.createElement('h3');
+    headingEl.textContent = `${analysis.emoji} ${analysis.message}`;
+    analysisEl.appendChild(headingEl);
+    
+    if (analysis.explanation) {
+        const explanationEl = document.createElement('p');
+        explanationEl.textContent = analysis.explanation;
+        analysisEl.appendChild(explanationEl);
+    }
+    
+    if (analysis.suggestedReply) {
+        const replyEl = document.createElement('p');
+        replyEl.textContent = `Suggested reply: "${analysis.suggestedReply}"`;
+        analysisEl.appendChild(replyEl);
+    }
 }
 
 function startTimer() {
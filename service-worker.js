@@ -0,0 +1,79 @@
+// Service worker: caches the app shell so the app opens at the airport without
+// a connection. Registered by offline-mode.js. API requests always go to the
+// network; transcripts and tokens are never cached.
+
+// Bump when the shell changes so installed copies pick up the new files
+const SHELL_CACHE = 'shell-v2';
+
+const SHELL_FILES = [
+    '/',
+    '/index.html',
+    '/styles.css',
+    '/manifest.webmanifest',
+    '/icon.svg',
+    '/glossary.js',
+    '/streaming-script.js',
+    '/session-history.js',
+    '/session-export.js',
+    '/practice-mode.js',
+    '/document-checklist.js',
+    '/connection-health.js',
+    '/offline-mode.js',
+    '/pcm-capture-processor.js',
+    '/vendor/ably.min.js'
+];
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// Drop caches left by earlier versions
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== SHELL_CACHE).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Serve the shell from the cache straight away and refresh it in the background
+// (stale-while-revalidate), so a weak connection never holds up opening the app
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    const url = new URL(request.url);
+
+    if (request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/api/')) {
+        return;
+    }
+
+    // Every page is the same single-page shell
+    const cacheKey = request.mode === 'navigate' ? '/index.html' : request;
+
+    event.respondWith(
+        caches.open(SHELL_CACHE).then(cache =>
+            cache.match(cacheKey).then(cached => {
+                const refresh = fetch(request)
+                    .then(response => {
+                        if (response.ok) {
+                            cache.put(cacheKey, response.clone());
+                        }
+                        return response;
+                    })
+                    .catch(error => {
+                        if (cached) return cached;
+                        throw error;
+                    });
+
+                if (cached) {
+                    event.waitUntil(refresh.catch(() => {}));
+                    return cached;
+                }
+                return refresh;
+            })
+        )
+    );
+});
@@ -0,0 +1,206 @@
+// Export a session record (see session-history.js) as a report the traveller
+// can share, e.g. with their school's international office. The AI suggestions
+// are interleaved with the transcript at the points they were shown.
+
+const EXPORT_FORMATS = {
+    markdown: { extension: 'md', mimeType: 'text/markdown', build: buildMarkdownReport },
+    text: { extension: 'txt', mimeType: 'text/plain', build: buildTextReport },
+    json: { extension: 'json', mimeType: 'application/json', build: buildJsonReport },
+    srt: { extension: 'srt', mimeType: 'application/x-subrip', build: buildSrtSubtitles },
+    vtt: { extension: 'vtt', mimeType: 'text/vtt', build: buildVttSubtitles }
+};
+
+// How long a suggestion stays on screen in subtitle exports
+const SUGGESTION_CUE_SECONDS = 5;
+
+// Current-session and history export controls
+const exportCurrentBtn = document.getElementById('exportCurrentBtn');
+const exportCurrentFormat = document.getElementById('exportCurrentFormat');
+const exportHistoryBtn = document.getElementById('exportHistoryBtn');
+const exportHistoryFormat = document.getElementById('exportHistoryFormat');
+
+exportCurrentBtn.addEventListener('click', function() {
+    if (!sessionRecord || (sessionRecord.segments.length === 0 && sessionRecord.analyses.length === 0)) {
+        statusEl.textContent = 'Nothing to export yet';
+        return;
+    }
+
+    syncSessionRecord(sessionRecord);
+    downloadSessionExport(sessionRecord, exportCurrentFormat.value);
+});
+
+exportHistoryBtn.addEventListener('click', function() {
+    if (openHistoryRecord) {
+        downloadSessionExport(openHistoryRecord, exportHistoryFormat.value);
+    }
+});
+
+function downloadSessionExport(record, format) {
+    const exportFormat = EXPORT_FORMATS[format];
+    const blob = new Blob([exportFormat.build(record)], { type: `${exportFormat.mimeType};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `interview-${new Date(record.startedAt).toISOString().slice(0, 10)}.${exportFormat.extension}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Give the download a moment to start before releasing the blob
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function reportSpeakerName(record, speakerId) {
+    if (record.roles[speakerId] === 'officer') return 'Officer';
+    if (record.roles[speakerId] === 'traveller') return 'Traveller';
+    return `Speaker ${speakerId}`;
+}
+
+// Name of the traveller's language as shown in the language picker
+function reportLanguageName(record) {
+    const option = languageSelect.querySelector(`option[value="${record.language}"]`);
+    return option ? option.textContent : record.language;
+}
+
+function reportHeaderLines(record) {
+    return [
+        `Date: ${new Date(record.startedAt).toLocaleString()}`,
+        `Duration: ${formatTime(sessionDuration(record))}`,
+        `Explanations in: ${reportLanguageName(record)}`
+    ];
+}
+
+function buildMarkdownReport(record) {
+    const lines = ['# Interview report', ''];
+    reportHeaderLines(record).forEach(line => lines.push(`- ${line}`));
+    lines.push('', '## Conversation', '');
+
+    historyTimelineItems(record).forEach(item => {
+        if (item.segment) {
+            const segment = item.segment;
+            lines.push(`**${reportSpeakerName(record, segment.speaker)}** (${formatTime(segment.start)} - ${formatTime(segment.end)}): ${segment.text}`, '');
+        } else {
+            const analysis = item.analysis;
+            lines.push(`> ${analysis.emoji} ${analysis.message}`);
+            if (analysis.explanation) {
+                lines.push('>', `> ${analysis.explanation}`);
+            }
+            if (analysis.suggestedReply) {
+                lines.push('>', `> You can say: "${analysis.suggestedReply}"`);
+            }
+            lines.push('');
+        }
+    });
+
+    return lines.join('\n');
+}
+
+function buildTextReport(record) {
+    const lines = ['INTERVIEW REPORT', ''];
+    lines.push(...reportHeaderLines(record), '');
+
+    historyTimelineItems(record).forEach(item => {
+        if (item.segment) {
+            const segment = item.segment;
+            lines.push(`[${formatTime(segment.start)}] ${reportSpeakerName(record, segment.speaker)}: ${segment.text}`);
+        } else {
+            const analysis = item.analysis;
+            lines.push(`    [${formatTime(item.at)}] App: ${analysis.message}`);
+            if (analysis.explanation) {
+                lines.push(`        ${analysis.explanation}`);
+            }
+            if (analysis.suggestedReply) {
+                lines.push(`        You can say: "${analysis.suggestedReply}"`);
+            }
+        }
+    });
+
+    return lines.join('\n') + '\n';
+}
+
+function buildJsonReport(record) {
+    return JSON.stringify({
+        id: record.id,
+        startedAt: new Date(record.startedAt).toISOString(),
+        endedAt: record.endedAt ? new Date(record.endedAt).toISOString() : null,
+        durationSeconds: sessionDuration(record),
+        language: record.language,
+        mode: record.mode,
+        timeline: historyTimelineItems(record).map(item => item.segment ? {
+            type: 'transcript',
+            speaker: item.segment.speaker,
+            role: record.roles[item.segment.speaker] || null,
+            start: item.segment.start,
+            end: item.segment.end,
+            text: item.segment.text
+        } : {
+            type: 'suggestion',
+            at: item.at,
+            // Only what the traveller saw, not the model's internal fields
+            emoji: item.analysis.emoji,
+            message: item.analysis.message,
+            explanation: item.analysis.explanation || null,
+            suggestedReply: item.analysis.suggestedReply || null
+        })
+    }, null, 2);
+}
+
+// Subtitle cues: transcript segments labelled by speaker, plus suggestions shown
+// from the moment they appeared
+function subtitleCues(record) {
+    return historyTimelineItems(record).map(item => {
+        if (item.segment) {
+            return {
+                start: item.segment.start,
+                end: Math.max(item.segment.end, item.segment.start + 0.5),
+                label: reportSpeakerName(record, item.segment.speaker),
+                text: item.segment.text
+            };
+        }
+
+        const analysis = item.analysis;
+        const text = [`${analysis.emoji} ${analysis.message}`];
+        if (analysis.explanation) text.push(analysis.explanation);
+        if (analysis.suggestedReply) text.push(`You can say: "${analysis.suggestedReply}"`);
+
+        return {
+            start: item.at,
+            end: item.at + SUGGESTION_CUE_SECONDS,
+            label: 'App',
+            text: text.join('\n')
+        };
+    }).sort((a, b) => a.start - b.start);
+}
+
+function buildSrtSubtitles(record) {
+    return subtitleCues(record).map((cue, index) => [
+        index + 1,
+        `${formatCueTime(cue.start, ',')} --> ${formatCueTime(cue.end, ',')}`,
+        `${cue.label}: ${cue.text}`
+    ].join('\n')).join('\n\n') + '\n';
+}
+
+function buildVttSubtitles(record) {
+    const cues = subtitleCues(record).map(cue => [
+        `${formatCueTime(cue.start, '.')} --> ${formatCueTime(cue.end, '.')}`,
+        `<v ${cue.label}>${escapeVttText(cue.text)}`
+    ].join('\n'));
+
+    return ['WEBVTT', ...cues].join('\n\n') + '\n';
+}
+
+// HH:MM:SS,mmm (SRT) or HH:MM:SS.mmm (WebVTT)
+function formatCueTime(seconds, separator) {
+    const totalMs = Math.round(Math.max(seconds, 0) * 1000);
+    const hours = Math.floor(totalMs / 3600000).toString().padStart(2, '0');
+    const minutes = Math.floor(totalMs % 3600000 / 60000).toString().padStart(2, '0');
+    const secs = Math.floor(totalMs % 60000 / 1000).toString().padStart(2, '0');
+    const ms = (totalMs % 1000).toString().padStart(3, '0');
+    return `${hours}:${minutes}:${secs}${separator}${ms}`;
+}
+
+// Cue text can't contain a bare "-->" or unescaped markup characters
+function escapeVttText(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
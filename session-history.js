@@ -0,0 +1,377 @@
+// Past sessions, kept in the browser's IndexedDB so a new recording doesn't
+// lose the previous conversation. Loaded after streaming-script.js, which
+// saves the session in progress through saveSessionRecord().
+//
+// A session record looks like:
+// {
+//   id, mode: 'streaming' | 'batch', language,
+//   startedAt, endedAt,             epoch milliseconds (endedAt null while recording)
+//   roles: { "0": "officer", ... }, speaker ID -> role when the session was saved
+//   segments: [{ utteranceId, text, speaker, start, end }],   times in seconds into the recording
+//   analyses: [{ at, analysis }]    `at` is seconds into the recording
+//   hasAudio                        true if the recording was kept (opt-in)
+// }
+//
+// Recordings are stored separately, keyed by session ID, so listing sessions
+// doesn't load every audio file.
+
+const HISTORY_DB_NAME = 'interviewHistory';
+const HISTORY_DB_VERSION = 2;
+const HISTORY_STORE = 'sessions';
+const AUDIO_STORE = 'audio';
+
+// History view elements
+const historyListEl = document.getElementById('history-list');
+const historyDetailEl = document.getElementById('history-detail');
+const historyTimelineEl = document.getElementById('history-timeline');
+const historyTitleEl = document.getElementById('history-title');
+const historyAudioEl = document.getElementById('history-audio');
+const replayHistoryBtn = document.getElementById('replayHistoryBtn');
+const deleteHistoryBtn = document.getElementById('deleteHistoryBtn');
+const clearHistoryBtn = document.getElementById('clearHistoryBtn');
+
+let historyDbPromise = null;
+let openHistoryRecord = null;
+let historyReplayTimers = [];
+let historyAudioUrl = null;
+
+replayHistoryBtn.addEventListener('click', function() {
+    if (historyReplayTimers.length > 0) {
+        stopHistoryReplay();
+    } else {
+        replayHistoryRecord();
+    }
+});
+
+deleteHistoryBtn.addEventListener('click', async function() {
+    if (!openHistoryRecord) return;
+    if (!confirm('Delete this session from your history?')) return;
+
+    await deleteSessionRecord(openHistoryRecord.id);
+    closeHistoryRecord();
+    renderHistoryList();
+});
+
+clearHistoryBtn.addEventListener('click', async function() {
+    if (!confirm('Delete every saved session?')) return;
+
+    await clearSessionRecords();
+    closeHistoryRecord();
+    renderHistoryList();
+});
+
+// Clicking a line plays the recording from there
+historyTimelineEl.addEventListener('click', function(event) {
+    const segmentDiv = event.target.closest('.segment');
+    if (!segmentDiv || !historyAudioUrl) return;
+
+    historyAudioEl.currentTime = parseFloat(segmentDiv.dataset.start);
+    historyAudioEl.play();
+});
+
+historyAudioEl.addEventListener('timeupdate', function() {
+    highlightPlayingSegment(historyAudioEl.currentTime);
+});
+
+renderHistoryList();
+
+// Storage
+
+function openHistoryDb() {
+    if (!historyDbPromise) {
+        historyDbPromise = new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+
+            const request = indexedDB.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+
+            request.onupgradeneeded = (event) => {
+                const db = request.result;
+
+                if (event.oldVersion < 1) {
+                    const store = db.createObjectStore(HISTORY_STORE, { keyPath: 'id' });
+                    store.createIndex('startedAt', 'startedAt');
+                }
+                if (event.oldVersion < 2) {
+                    db.createObjectStore(AUDIO_STORE);
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    return historyDbPromise;
+}
+
+// Run one request against a store and resolve with its result
+async function historyRequest(mode, makeRequest, storeName = HISTORY_STORE) {
+    const db = await openHistoryDb();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = makeRequest(transaction.objectStore(storeName));
+
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+// Resolves with whether the record was saved
+async function saveSessionRecord(record) {
+    try {
+        await historyRequest('readwrite', store => store.put(record));
+        renderHistoryList();
+        return true;
+    } catch (error) {
+        console.error('Error saving session to history:', error);
+        return false;
+    }
+}
+
+// Newest first
+async function getSessionRecords() {
+    const records = await historyRequest('readonly', store => store.index('startedAt').getAll());
+    return records.reverse();
+}
+
+function getSessionRecord(id) {
+    return historyRequest('readonly', store => store.get(id));
+}
+
+async function deleteSessionRecord(id) {
+    await historyRequest('readwrite', store => store.delete(id), AUDIO_STORE);
+    return historyRequest('readwrite', store => store.delete(id));
+}
+
+async function clearSessionRecords() {
+    await historyRequest('readwrite', store => store.clear(), AUDIO_STORE);
+    return historyRequest('readwrite', store => store.clear());
+}
+
+async function saveSessionAudio(id, blob) {
+    try {
+        await historyRequest('readwrite', store => store.put(blob, id), AUDIO_STORE);
+    } catch (error) {
+        console.error('Error saving session audio:', error);
+    }
+}
+
+function getSessionAudio(id) {
+    return historyRequest('readonly', store => store.get(id), AUDIO_STORE);
+}
+
+// History view
+
+async function renderHistoryList() {
+    let records;
+    try {
+        records = await getSessionRecords();
+    } catch (error) {
+        console.error('Error loading session history:', error);
+        historyListEl.textContent = 'History is not available in this browser.';
+        clearHistoryBtn.disabled = true;
+        return;
+    }
+
+    historyListEl.innerHTML = '';
+    clearHistoryBtn.disabled = records.length === 0;
+
+    if (records.length === 0) {
+        historyListEl.textContent = 'No saved sessions yet';
+        return;
+    }
+
+    records.forEach(record => {
+        const itemBtn = document.createElement('button');
+        itemBtn.className = 'history-item';
+        itemBtn.classList.toggle('active', openHistoryRecord !== null && openHistoryRecord.id === record.id);
+
+        const dateEl = document.createElement('span');
+        dateEl.className = 'history-date';
+        dateEl.textContent = new Date(record.startedAt).toLocaleString();
+
+        const summaryEl = document.createElement('span');
+        summaryEl.className = 'history-summary';
+        summaryEl.textContent = `${formatTime(sessionDuration(record))} · ${record.segments.length} lines · ${record.analyses.length} suggestions`;
+
+        itemBtn.appendChild(dateEl);
+        itemBtn.appendChild(summaryEl);
+        itemBtn.addEventListener('click', () => openHistorySession(record.id));
+        historyListEl.appendChild(itemBtn);
+    });
+}
+
+async function openHistorySession(id) {
+    stopHistoryReplay();
+
+    try {
+        openHistoryRecord = await getSessionRecord(id);
+    } catch (error) {
+        console.error('Error loading session:', error);
+        return;
+    }
+    if (!openHistoryRecord) return;
+
+    historyTitleEl.textContent = `${new Date(openHistoryRecord.startedAt).toLocaleString()} (${formatTime(sessionDuration(openHistoryRecord))})`;
+    renderHistoryTimeline(openHistoryRecord);
+    await loadHistoryAudio(openHistoryRecord);
+    historyDetailEl.classList.remove('hidden');
+    renderHistoryList();
+}
+
+function closeHistoryRecord() {
+    stopHistoryReplay();
+    unloadHistoryAudio();
+    openHistoryRecord = null;
+    historyDetailEl.classList.add('hidden');
+    historyTimelineEl.innerHTML = '';
+}
+
+// Put the session's kept recording (if any) in the player
+async function loadHistoryAudio(record) {
+    unloadHistoryAudio();
+    if (!record.hasAudio) return;
+
+    try {
+        const blob = await getSessionAudio(record.id);
+        if (!blob) return;
+
+        historyAudioUrl = URL.createObjectURL(blob);
+        historyAudioEl.src = historyAudioUrl;
+        historyAudioEl.classList.remove('hidden');
+        historyTimelineEl.classList.add('has-audio');
+    } catch (error) {
+        console.error('Error loading session audio:', error);
+    }
+}
+
+function unloadHistoryAudio() {
+    historyAudioEl.pause();
+    historyAudioEl.removeAttribute('src');
+    historyAudioEl.classList.add('hidden');
+    historyTimelineEl.classList.remove('has-audio');
+
+    if (historyAudioUrl) {
+        URL.revokeObjectURL(historyAudioUrl);
+        historyAudioUrl = null;
+    }
+}
+
+// Highlight the line being played
+function highlightPlayingSegment(time) {
+    historyTimelineEl.querySelectorAll('.segment').forEach(segmentDiv => {
+        const start = parseFloat(segmentDiv.dataset.start);
+        const end = parseFloat(segmentDiv.dataset.end);
+        segmentDiv.classList.toggle('playing', time >= start && time < end);
+    });
+}
+
+// Transcript lines and the suggestions shown for them, in the order they happened
+function historyTimelineItems(record) {
+    const items = record.segments.map(segment => ({ at: segment.end, segment }))
+        .concat(record.analyses.map(entry => ({ at: entry.at, analysis: entry.analysis })));
+
+    return items.sort((a, b) => a.at - b.at);
+}
+
+function renderHistoryTimeline(record) {
+    historyTimelineEl.innerHTML = '';
+
+    historyTimelineItems(record).forEach(item => {
+        const itemEl = item.segment ?
+            createHistorySegment(record, item.segment) :
+            createHistorySuggestion(item.analysis);
+        itemEl.dataset.at = item.at;
+        historyTimelineEl.appendChild(itemEl);
+    });
+
+    if (!historyTimelineEl.hasChildNodes()) {
+        historyTimelineEl.textContent = 'Nothing was transcribed in this session.';
+    }
+}
+
+function createHistorySegment(record, segment) {
+    const role = record.roles[segment.speaker];
+    const segmentDiv = document.createElement('div');
+    segmentDiv.className = `segment ${role ? `role-${role}` : `speaker-${segment.speaker % 2}`}`;
+    segmentDiv.dataset.start = segment.start;
+    segmentDiv.dataset.end = segment.end;
+
+    const headerDiv = document.createElement('div');
+    headerDiv.className = 'segment-header';
+    headerDiv.textContent = `${historySpeakerName(role, segment.speaker)} (${formatTime(segment.start)} - ${formatTime(segment.end)})`;
+
+    const textDiv = document.createElement('div');
+    textDiv.className = 'segment-text';
+    textDiv.textContent = segment.text;
+
+    segmentDiv.appendChild(headerDiv);
+    segmentDiv.appendChild(textDiv);
+    return segmentDiv;
+}
+
+function createHistorySuggestion(analysis) {
+    const suggestionDiv = document.createElement('div');
+    suggestionDiv.className = 'history-suggestion';
+
+    const messageEl = document.createElement('p');
+    messageEl.textContent = `${analysis.emoji} ${analysis.message}`;
+    suggestionDiv.appendChild(messageEl);
+
+    if (analysis.explanation) {
+        const explanationEl = document.createElement('p');
+        explanationEl.className = 'native-explanation';
+        explanationEl.textContent = analysis.explanation;
+        suggestionDiv.appendChild(explanationEl);
+    }
+
+    if (analysis.suggestedReply) {
+        const replyEl = document.createElement('p');
+        replyEl.className = 'suggested-reply';
+        replyEl.textContent = `You can say: "${analysis.suggestedReply}"`;
+        suggestionDiv.appendChild(replyEl);
+    }
+
+    return suggestionDiv;
+}
+
+function historySpeakerName(role, speakerId) {
+    if (role === 'officer') return 'Officer';
+    if (role === 'traveller') return 'Traveller (you)';
+    return `Speaker ${speakerId}`;
+}
+
+// Play the timeline back at the pace it happened: hide everything, then reveal
+// each line and suggestion when it occurred in the recording
+function replayHistoryRecord() {
+    const itemEls = Array.from(historyTimelineEl.children);
+    if (itemEls.length === 0 || !itemEls[0].dataset.at) return;
+
+    itemEls.forEach(itemEl => itemEl.classList.add('hidden'));
+    replayHistoryBtn.textContent = 'Stop replay';
+
+    historyReplayTimers = itemEls.map((itemEl, index) => setTimeout(() => {
+        itemEl.classList.remove('hidden');
+        historyTimelineEl.scrollTop = historyTimelineEl.scrollHeight;
+
+        if (index === itemEls.length - 1) {
+            stopHistoryReplay();
+        }
+    }, parseFloat(itemEl.dataset.at) * 1000));
+}
+
+function stopHistoryReplay() {
+    historyReplayTimers.forEach(clearTimeout);
+    historyReplayTimers = [];
+    replayHistoryBtn.textContent = 'Replay';
+
+    Array.from(historyTimelineEl.children).forEach(itemEl => itemEl.classList.remove('hidden'));
+}
+
+function sessionDuration(record) {
+    return ((record.endedAt || Date.now()) - record.startedAt) / 1000;
+}
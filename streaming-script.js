@@ -10,6 +10,18 @@ const emojiDisplayEl = document.getElementById('emoji-display');
 const welcomeMessageEl = document.getElementById('welcome-message');
 const toggleFoldBtn = document.getElementById('toggleFoldBtn');
 const belowFoldEl = document.querySelector('.below-fold');
+const vadIndicatorEl = document.getElementById('vad-indicator');
+const roleControlsEl = document.getElementById('role-controls');
+const enrollBtn = document.getElementById('enrollBtn');
+const swapRolesBtn = document.getElementById('swapRolesBtn');
+const languageSelect = document.getElementById('languageSelect');
+const speakToggleBtn = document.getElementById('speakToggleBtn');
+const voiceSelect = document.getElementById('voiceSelect');
+const rateInput = document.getElementById('rateInput');
+const rateValueEl = document.getElementById('rateValue');
+const keepAudioToggle = document.getElementById('keepAudioToggle');
+const keepOriginalToggle = document.getElementById('keepOriginalToggle');
+const glossaryPopoverEl = document.getElementById('glossary-popover');
 
 console.log('DOM elements found:', {
   recordBtn: !!recordBtn, 
@@ -22,7 +34,11 @@ console.log('DOM elements found:', {
   emojiDisplayEl: !!emojiDisplayEl,
   welcomeMessageEl: !!welcomeMessageEl,
   toggleFoldBtn: !!toggleFoldBtn,
-  belowFoldEl: !!belowFoldEl
+  belowFoldEl: !!belowFoldEl,
+  vadIndicatorEl: !!vadIndicatorEl,
+  roleControlsEl: !!roleControlsEl,
+  languageSelect: !!languageSelect,
+  speakToggleBtn: !!speakToggleBtn
 });
 
 // Toggle containers
@@ -32,7 +48,21 @@ const analysisContainer = document.getElementById('analysis-container');
 // Global variables
 let mediaRecorder;
 let audioContext;
-let audioProcessor;
+let audioCaptureNode;
+let mediaStream;
+let nextChunkSeq = 0;
+// Chunks waiting to be uploaded, in capture order, and those being uploaded.
+// While the connection is down chunks wait here and are replayed once it returns.
+let audioUploadQueue = [];
+let activeChunkUploads = new Set();
+let audioQueueTimer = null;
+let lastChunkUploadAt = 0;
+let audioQueueInterrupted = false;
+let audioQueueWaiters = [];
+// Sessions the server won't take more audio for (ended, or over a limit)
+let rejectedAudioSessions = new Set();
+let capturedSeconds = 0;
+let vadState = null;
 let recordingStartTime;
 let timerInterval;
 let isRecording = false;
@@ -40,8 +70,81 @@ let sessionId = generateUniqueId();
 let ablyClient = null;
 let transcriptChannel = null;
 let analysisChannel = null;
+let eventsChannel = null;
+
+// Signed tickets authorizing our uploads, by session ID: { ticket, expiresAt }
+let sessionTickets = new Map();
+const TICKET_REFRESH_MARGIN_MS = 60000;
+// Token that came with a new session, for Ably's next authCallback to use
+let pendingTokenRequest = null;
+let isStreaming = false;
 let isFoldVisible = false;
 
+// An analysis being streamed in: { id, emoji, message, finished }, and where it is shown
+let streamingAnalysis = null;
+let partialAnalysisId = null;
+let partialMessageEl = null;
+
+// The session being recorded, saved to the history as it fills in (see session-history.js)
+let sessionRecord = null;
+
+// Deepgram speaker IDs are arbitrary, so map them to roles: { "0": "officer", "1": "traveller" }
+let speakerRoles = {};
+let enrollmentDeadline = 0;
+const ENROLLMENT_WINDOW_MS = 8000;
+
+// Language the officer's questions are explained in, remembered between visits
+const LANGUAGE_STORAGE_KEY = 'travellerLanguage';
+let travellerLanguage = localStorage.getItem(LANGUAGE_STORAGE_KEY) || 'en';
+languageSelect.value = travellerLanguage;
+
+// Read-aloud: on/off for this visit only, voice and rate remembered between visits
+const SPEECH_SETTINGS_STORAGE_KEY = 'speechSettings';
+const SPEECH_LOCALES = {
+    en: 'en-US', ko: 'ko-KR', zh: 'zh-CN', ja: 'ja-JP', hi: 'hi-IN',
+    vi: 'vi-VN', es: 'es-ES', pt: 'pt-BR', ar: 'ar-SA', fr: 'fr-FR'
+};
+let speechPlaybackEnabled = false;
+let speechSettings = loadSpeechSettings();
+let activeUtterances = 0;
+// How to mark each utterance still speaking or queued as finished
+let speechFinishers = new Set();
+let isCapturePaused = false;
+
+// Keeping recordings on this device is opt-in and remembered between visits
+const KEEP_AUDIO_STORAGE_KEY = 'keepAudio';
+let keepAudioEnabled = localStorage.getItem(KEEP_AUDIO_STORAGE_KEY) === 'true';
+keepAudioToggle.checked = keepAudioEnabled;
+let audioRetentionRecorder = null;
+// Recordings waiting for their session record to be saved, so a recording is
+// never stored without a history entry that deletes it
+let pendingSessionAudio = new WeakMap();
+
+// The server masks personal data (passport numbers, dates of birth...) before
+// broadcasting or analyzing transcripts. Opting in returns the unredacted text
+// to this device only, through the responses to our own uploads.
+const KEEP_ORIGINAL_STORAGE_KEY = 'keepOriginalText';
+let keepOriginalEnabled = localStorage.getItem(KEEP_ORIGINAL_STORAGE_KEY) === 'true';
+keepOriginalToggle.checked = keepOriginalEnabled;
+// Unredacted text that came back before its final transcript arrived over Ably
+let pendingOriginals = new Map();
+
+// Voice activity detection: silent chunks are not uploaded
+const VAD_FRAME_SAMPLES = 320;      // 20ms frames at 16kHz
+const VAD_MIN_RMS = 0.01;           // Quietest level treated as speech regardless of noise floor
+const VAD_MIN_SPEECH_FRAMES = 3;    // ~60ms of speech frames makes a chunk speech
+const VAD_HANGOVER_CHUNKS = 4;      // Keep sending for ~1s after speech stops
+const VAD_PRE_ROLL_CHUNKS = 2;      // Send the ~500ms before speech starts so onsets aren't clipped
+const KEEPALIVE_INTERVAL_MS = 5000; // Deepgram closes streams after ~10s without data
+
+// Offline audio queue
+const AUDIO_QUEUE_MAX_CHUNKS = 240;       // Hold up to ~60s of speech while offline
+const AUDIO_UPLOAD_CONCURRENCY = 4;       // Uploads in flight; the server reorders up to 8 early chunks
+const AUDIO_UPLOAD_MIN_INTERVAL_MS = 130; // Replay under the server's limit of 80 chunks per 10s
+const AUDIO_QUEUE_RETRY_MS = 3000;        // How often to retry while the connection is down
+const AUDIO_UPLOAD_MAX_ATTEMPTS = 20;     // Give a chunk up after ~60s of retries
+const AUDIO_QUEUE_MAX_RETRY_AFTER_S = 10; // Longer rate-limit waits drop the chunk instead of stalling the queue
+
 // Check for browser support
 if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
     console.log('Browser does not support audio recording');
@@ -49,9 +152,6 @@ if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
     recordBtn.disabled = true;
 }
 
-// Initialize Ably
-initializeAbly();
-
 // Event listeners
 recordBtn.addEventListener('click', function() {
     console.log('Record button clicked');
@@ -63,6 +163,54 @@ stopBtn.addEventListener('click', function() {
     stopRecording();
 });
 
+enrollBtn.addEventListener('click', function() {
+    startEnrollment();
+});
+
+swapRolesBtn.addEventListener('click', function() {
+    swapRoles();
+});
+
+languageSelect.addEventListener('change', function() {
+    travellerLanguage = languageSelect.value;
+    localStorage.setItem(LANGUAGE_STORAGE_KEY, travellerLanguage);
+    
+    // Apply it to the session in progress too
+    if (isStreaming) {
+        sendLanguage();
+    }
+});
+
+speakToggleBtn.addEventListener('click', function() {
+    setSpeechPlayback(!speechPlaybackEnabled);
+});
+
+voiceSelect.addEventListener('change', function() {
+    speechSettings.voiceURI = voiceSelect.value;
+    saveSpeechSettings();
+});
+
+rateInput.addEventListener('input', function() {
+    speechSettings.rate = parseFloat(rateInput.value);
+    rateValueEl.textContent = `${speechSettings.rate.toFixed(1)}x`;
+    saveSpeechSettings();
+});
+
+keepAudioToggle.addEventListener('change', function() {
+    keepAudioEnabled = keepAudioToggle.checked;
+    localStorage.setItem(KEEP_AUDIO_STORAGE_KEY, keepAudioEnabled);
+});
+
+keepOriginalToggle.addEventListener('change', function() {
+    keepOriginalEnabled = keepOriginalToggle.checked;
+    localStorage.setItem(KEEP_ORIGINAL_STORAGE_KEY, keepOriginalEnabled);
+    
+    // Apply it to the session in progress too
+    if (isStreaming) {
+        sendRedactionSetting();
+    }
+});
+
 // Add toggle fold button event listener
 toggleFoldBtn.addEventListener('click', function() {
     toggleFold();
@@ -82,32 +230,39 @@ function toggleFold() {
 }
 
 async function initializeAbly() {
+    if (ablyClient) return;
+    
     try {
-        // Load Ably script dynamically
-        await loadScript('https://cdn.ably.io/lib/ably.min-1.js');
-        
-        // Get token from our backend
-        const response = await fetch('/api/streaming-proxy');
-        if (!response.ok) {
-            throw new Error('Failed to get Ably token');
+        // Ably v1 is vendored so the service worker can cache it with the app
+        if (!window.Ably) {
+            await loadScript('vendor/ably.min.js');
         }
         
-        const data = await response.json();
+        // Start a session on our backend, with a token scoped to its channels
+        const session = await requestSession();
+        sessionId = session.id;
+        pendingTokenRequest = session.tokenRequest;
         
-        // Initialize Ably with token
+        // Initialize Ably with token. Later calls (re-authorizing for a new
+        // session) use the token that came with it, and token renewals fetch a
+        // fresh one for whatever session is current.
         ablyClient = new Ably.Realtime({
             authCallback: (_, callback) => {
-                callback(null, data.tokenRequest);
+                if (pendingTokenRequest) {
+                    const tokenRequest = pendingTokenRequest;
+                    pendingTokenRequest = null;
+                    callback(null, tokenRequest);
+                    return;
+                }
+                
+                renewAblyToken()
+                    .then(tokenRequest => callback(null, tokenRequest))
+                    .catch(error => callback(error, null));
             }
         });
         
-        // Subscribe to transcript channel
-        transcriptChannel = ablyClient.channels.get('transcript-channel');
-        transcriptChannel.subscribe('transcription', handleTranscriptionMessage);
-        
-        // Subscribe to analysis channel
-        analysisChannel = ablyClient.channels.get('analysis-channel');
-        analysisChannel.subscribe('analysis', handleAnalysisMessage);
+        // Subscribe to this session's transcript and analysis channels
+        subscribeToSessionChannels(sessionId);
         
         console.log('Ably initialized successfully');
         
@@ -118,13 +273,140 @@ async function initializeAbly() {
         
         ablyClient.connection.on('failed', (error) => {
             console.error('Ably connection failed:', error);
-            statusEl.textContent = 'Streaming not available, using batch mode';
+            statusEl.textContent = 'Streaming not available, using batch mode until it reconnects';
         });
         
+        // Every state change feeds the connection health badge (connection-health.js)
+        ablyClient.connection.on(handleAblyStateChange);
+        
     } catch (error) {
         console.error('Error initializing Ably:', error);
-        statusEl.textContent = 'Streaming not available, using batch mode';
+        statusEl.textContent = 'Streaming not available, using batch mode until it reconnects';
+        scheduleAblyReconnect();
+    }
+}
+
+// Start a new session. The server picks its ID, and returns the ticket our POSTs
+// for it must carry and an Ably token that can only subscribe to its channels.
+async function requestSession() {
+    const data = await fetchSessionToken('/api/streaming-proxy', {});
+    return { id: data.sessionId, tokenRequest: data.tokenRequest };
+}
+
+// Renew the Ably token and ticket for a session we hold a ticket for
+async function fetchAblyToken(id) {
+    const held = sessionTickets.get(id);
+    const data = await fetchSessionToken(`/api/streaming-proxy?sessionId=${encodeURIComponent(id)}`,
+        held ? { 'X-Session-Ticket': held.ticket } : {});
+    return data.tokenRequest;
+}
+
+async function fetchSessionToken(url, headers) {
+    const response = await fetch(url, { headers });
+    if (!response.ok) {
+        reportAccessError(response);
+        throw new Error('Failed to get Ably token');
+    }
+    
+    const data = await response.json();
+    sessionTickets.set(data.sessionId, { ticket: data.ticket, expiresAt: data.ticketExpiresAt });
+    return data;
+}
+
+// Ably's periodic token renewal. A page left idle between recordings outlives
+// its session's ticket; that session is over anyway, so start a new one. While
+// recording, the session stays the same even if that means renewal fails.
+async function renewAblyToken() {
+    const held = sessionTickets.get(sessionId);
+    if (isRecording || (held && held.expiresAt > Date.now())) {
+        return fetchAblyToken(sessionId);
+    }
+    
+    const session = await requestSession();
+    sessionId = session.id;
+    return session.tokenRequest;
+}
+
+// POST to the streaming endpoint with the session's ticket, renewing it first if
+// it is about to expire. Refusals (401, 403, 410, 429) are shown in the status line.
+async function sessionFetch(id, url, options) {
+    let ticket = sessionTickets.get(id);
+    if (!ticket || ticket.expiresAt - Date.now() < TICKET_REFRESH_MARGIN_MS) {
+        await fetchAblyToken(id);
+        ticket = sessionTickets.get(id);
     }
+    
+    const response = await fetch(url, {
+        ...options,
+        headers: {
+            ...options.headers,
+            'X-Session-Ticket': ticket.ticket
+        }
+    });
+    
+    reportAccessError(response);
+    return response;
+}
+
+async function reportAccessError(response) {
+    if (![401, 403, 410, 429].includes(response.status)) return;
+    
+    let body = {};
+    try {
+        body = await response.clone().json();
+    } catch (error) {
+        // Not a JSON error body
+    }
+    const message = body.error || '';
+    
+    if (response.status === 429) {
+        const retryAfter = response.headers.get('Retry-After');
+        statusEl.textContent = `${message || 'Too many requests'}${retryAfter ? ` - try again in ${retryAfter}s` : ''}`;
+    } else if (body.code === 'session-expired') {
+        statusEl.textContent = `${message}. Start a new recording to continue.`;
+    } else if (body.code === 'session-limit') {
+        statusEl.textContent = `${message} - try again in ${Math.ceil(body.retryAfter / 60)} min`;
+    } else {
+        statusEl.textContent = `Not allowed to stream: ${message || response.statusText}. Try reloading the page.`;
+    }
+}
+
+// Re-authorize with a new session's token, then move our subscriptions to its channels
+function switchAblySession(id, tokenRequest) {
+    return new Promise((resolve, reject) => {
+        pendingTokenRequest = tokenRequest;
+        ablyClient.auth.authorize(null, null, (error) => {
+            pendingTokenRequest = null;
+            if (error) {
+                reject(error);
+                return;
+            }
+            
+            subscribeToSessionChannels(id);
+            resolve();
+        });
+    });
+}
+
+function subscribeToSessionChannels(id) {
+    // Leave the previous session's channels
+    [transcriptChannel, analysisChannel, eventsChannel].forEach(channel => {
+        if (channel) {
+            channel.unsubscribe();
+            channel.detach();
+        }
+    });
+    
+    transcriptChannel = ablyClient.channels.get(sessionChannelName(id, 'transcript'));
+    transcriptChannel.subscribe('transcription', handleTranscriptionMessage);
+    
+    analysisChannel = ablyClient.channels.get(sessionChannelName(id, 'analysis'));
+    analysisChannel.subscribe('analysis', handleAnalysisMessage);
+    analysisChannel.subscribe('analysis-delta', handleAnalysisDeltaMessage);
+    
+    eventsChannel = ablyClient.channels.get(sessionChannelName(id, 'events'));
+    eventsChannel.subscribe('lifecycle', handleLifecycleMessage);
+    eventsChannel.subscribe('document-request', handleDocumentRequestMessage);
 }
 
 async function startRecording() {
@@ -153,24 +435,59 @@ async function startRecording() {
             welcomeMessageEl.classList.add('hidden');
         }
         
-        // Generate a new session ID for this recording
-        sessionId = generateUniqueId();
+        // Speaker IDs start over with every Deepgram stream
+        speakerRoles = {};
+        resetConnectionHealth();
+        enrollmentDeadline = 0;
+        pendingOriginals = new Map();
         
-        // Check if Ably is connected
+        // Start a new session for this recording and move the Ably subscriptions
+        // over to its channels. Batch recordings only need an ID for the history.
+        let useStreaming = false;
         if (ablyClient && ablyClient.connection.state === 'connected') {
-            // Use streaming mode
-            setupStreamingAudio(stream);
-        } else {
+            try {
+                const session = await requestSession();
+                sessionId = session.id;
+                await switchAblySession(sessionId, session.tokenRequest);
+                useStreaming = true;
+            } catch (error) {
+                console.error('Error starting streaming session:', error);
+            }
+        }
+        if (!useStreaming) {
+            sessionId = generateUniqueId();
+        }
+        
+        // Use streaming mode when possible, otherwise fall back to batch mode
+        if (useStreaming) {
+            sendLanguage();
+            sendRedactionSetting();
+            sendSessionMode();
+            useStreaming = await setupStreamingAudio(stream);
+        }
+        isStreaming = useStreaming;
+        
+        if (!useStreaming) {
             // Fall back to batch mode
             setupBatchRecording(stream);
         }
         
+        // Roles can only be assigned while transcripts are streaming in
+        roleControlsEl.classList.toggle('hidden', !useStreaming || practiceActive);
+        
         recordingStartTime = Date.now();
         startTimer();
         
+        sessionRecord = createSessionRecord(sessionId, useStreaming ? 'streaming' : 'batch');
+        
+        // The PCM stream isn't kept, so record a compressed copy alongside it
+        if (useStreaming && keepAudioEnabled) {
+            startAudioRetention(stream, sessionRecord);
+        }
+        
         recordBtn.disabled = true;
         stopBtn.disabled = false;
-        statusEl.textContent = (ablyClient && ablyClient.connection.state === 'connected') ? 
+        statusEl.textContent = useStreaming ? 
             'Recording (streaming mode)...' : 'Recording (batch mode)...';
         recordBtn.classList.add('recording');
         isRecording = true;
@@ -191,83 +508,65 @@ function stopRecording() {
         mediaRecorder.stop();
     }
     
-    // Clean up AudioContext if using streaming mode
-    if (audioContext && audioContext.state !== 'closed') {
-        if (audioProcessor) {
-            audioProcessor.disconnect();
-        }
-        audioContext.close();
+    // Flush the last audio and tell the server we're done so it can flush final transcripts
+    if (isStreaming) {
+        stopStreamingAudio(sessionId);
+        isStreaming = false;
+    }
+    
+    if (audioRetentionRecorder && audioRetentionRecorder.state !== 'inactive') {
+        audioRetentionRecorder.stop();
     }
     
     clearInterval(timerInterval);
     stopBtn.disabled = true;
     recordBtn.disabled = false;
     statusEl.textContent = 'Recording stopped.';
+    
+    if (sessionRecord) {
+        sessionRecord.endedAt = Date.now();
+        persistSessionRecord(sessionRecord);
+    }
     recordBtn.classList.remove('recording');
 }
 
-// Set up streaming audio processing
-function setupStreamingAudio(stream) {
+// Set up streaming audio capture. Returns false if the browser can't stream.
+async function setupStreamingAudio(stream) {
     try {
-        // Create audio context with 16kHz sample rate (ideal for speech recognition)
+        // Ask for 16kHz (ideal for speech recognition); the worklet resamples if we get another rate
         audioContext = new (window.AudioContext || window.webkitAudioContext)({
             sampleRate: 16000
         });
         
+        if (!audioContext.audioWorklet) {
+            throw new Error('AudioWorklet is not supported in this browser');
+        }
+        
+        await audioContext.audioWorklet.addModule('pcm-capture-processor.js');
+        
         // Create a source node from the stream
         const source = audioContext.createMediaStreamSource(stream);
         
-        // Create script processor node for processing audio data
-        // Note: ScriptProcessorNode is deprecated but still works in all browsers
-        // AudioWorklet would be better but has less support
-        audioProcessor = audioContext.createScriptProcessor(4096, 1, 1);
+        // The worklet posts ~250ms chunks of 16-bit PCM
+        audioCaptureNode = new AudioWorkletNode(audioContext, 'pcm-capture-processor');
+        mediaStream = stream;
         
-        // Flag to track if we've sent the first chunk
-        let isFirstChunk = true;
+        // Chunks are numbered so the server can put them back in order
+        const captureSessionId = sessionId;
+        nextChunkSeq = 0;
+        capturedSeconds = 0;
+        vadState = createVadState();
+        setVadIndicator(false);
         
-        // Process audio data
-        audioProcessor.onaudioprocess = async (audioProcessingEvent) => {
-            if (!isRecording) return;
-            
-            // Get the raw audio data
-            const inputData = audioProcessingEvent.inputBuffer.getChannelData(0);
-            
-            // Convert to the format needed by Deepgram (16-bit PCM)
-            const pcmData = convertFloat32ToInt16(inputData);
-            
-            // Convert to base64 for sending over HTTP
-            const base64Audio = arrayBufferToBase64(pcmData.buffer);
-            
-            // Send to our backend
-            try {
-                const response = await fetch('/api/streaming-proxy', {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json'
-                    },
-                    body: JSON.stringify({
-                        sessionId: sessionId,
-                        audioData: base64Audio,
-                        isFirstChunk: isFirstChunk
-                    })
-                });
-                
-                // Update first chunk flag
-                if (isFirstChunk) {
-                    isFirstChunk = false;
-                }
-                
-                if (!response.ok) {
-                    console.error('Error sending audio:', await response.text());
-                }
-            } catch (error) {
-                console.error('Error sending audio to server:', error);
+        audioCaptureNode.port.onmessage = (event) => {
+            if (event.data.type === 'chunk') {
+                handleCapturedChunk(captureSessionId, event.data.buffer);
             }
         };
         
         // Connect the nodes
-        source.connect(audioProcessor);
-        audioProcessor.connect(audioContext.destination);
+        source.connect(audioCaptureNode);
+        audioCaptureNode.connect(audioContext.destination);
         
         // Make sure streams are cleaned up when recording stops
         stream.getAudioTracks().forEach(track => {
@@ -278,13 +577,398 @@ function setupStreamingAudio(stream) {
             };
         });
         
+        return true;
+        
     } catch (error) {
         console.error('Error setting up audio streaming:', error);
-        // Fall back to batch mode
-        setupBatchRecording(stream);
+        if (audioContext && audioContext.state !== 'closed') {
+            audioContext.close();
+        }
+        return false;
+    }
+}
+
+// Run a captured chunk through voice activity detection and upload it if it
+// is speech, part of the hangover after speech, or the pre-roll before it
+function handleCapturedChunk(id, buffer) {
+    const chunk = { buffer, captureTime: capturedSeconds };
+    capturedSeconds += buffer.byteLength / 2 / 16000;
+    
+    // Don't transcribe our own read-aloud playback
+    if (isCapturePaused) {
+        if (Date.now() - vadState.lastUploadAt > KEEPALIVE_INTERVAL_MS) {
+            sendKeepAlive(id);
+        }
+        return;
+    }
+    
+    if (chunkHasSpeech(new Int16Array(buffer), vadState)) {
+        if (!vadState.speaking) {
+            vadState.preRoll.forEach(preRollChunk => sendAudioChunk(id, preRollChunk));
+            vadState.preRoll = [];
+            vadState.speaking = true;
+            setVadIndicator(true);
+        }
+        vadState.hangover = VAD_HANGOVER_CHUNKS;
+        sendAudioChunk(id, chunk);
+    } else if (vadState.speaking) {
+        sendAudioChunk(id, chunk);
+        vadState.hangover--;
+        if (vadState.hangover <= 0) {
+            vadState.speaking = false;
+            setVadIndicator(false);
+        }
+    } else {
+        vadState.preRoll.push(chunk);
+        if (vadState.preRoll.length > VAD_PRE_ROLL_CHUNKS) {
+            vadState.preRoll.shift();
+        }
+        
+        if (Date.now() - vadState.lastUploadAt > KEEPALIVE_INTERVAL_MS) {
+            sendKeepAlive(id);
+        }
     }
 }
 
+function createVadState() {
+    return {
+        noiseFloor: null,
+        speaking: false,
+        hangover: 0,
+        preRoll: [],
+        lastUploadAt: Date.now()
+    };
+}
+
+// A chunk is speech when enough of its 20ms frames are, judged by energy
+// against an adaptive noise floor and by zero-crossing rate
+function chunkHasSpeech(samples, state) {
+    let speechFrames = 0;
+    
+    for (let offset = 0; offset + VAD_FRAME_SAMPLES <= samples.length; offset += VAD_FRAME_SAMPLES) {
+        let energy = 0;
+        let crossings = 0;
+        
+        for (let i = offset; i < offset + VAD_FRAME_SAMPLES; i++) {
+            const sample = samples[i] / 0x8000;
+            energy += sample * sample;
+            if (i > offset && (samples[i] >= 0) !== (samples[i - 1] >= 0)) {
+                crossings++;
+            }
+        }
+        
+        const rms = Math.sqrt(energy / VAD_FRAME_SAMPLES);
+        const zeroCrossingRate = crossings / VAD_FRAME_SAMPLES;
+        
+        if (state.noiseFloor === null) {
+            state.noiseFloor = rms;
+        }
+        
+        // Loud frames are voiced speech; quieter frames with a fricative-like
+        // crossing rate catch unvoiced sounds such as "s" and "f"
+        const isLoud = rms > Math.max(VAD_MIN_RMS, state.noiseFloor * 3);
+        const isUnvoiced = rms > Math.max(VAD_MIN_RMS / 2, state.noiseFloor * 1.5) &&
+            zeroCrossingRate > 0.1 && zeroCrossingRate < 0.5;
+        
+        if (isLoud || isUnvoiced) {
+            speechFrames++;
+        } else {
+            // Track the background level from non-speech frames only
+            state.noiseFloor = state.noiseFloor * 0.95 + rms * 0.05;
+        }
+    }
+    
+    return speechFrames >= VAD_MIN_SPEECH_FRAMES;
+}
+
+function setVadIndicator(speaking) {
+    if (!vadIndicatorEl) return;
+    
+    vadIndicatorEl.classList.remove('hidden');
+    vadIndicatorEl.classList.toggle('speaking', speaking);
+    vadIndicatorEl.textContent = speaking ? 'Speaking' : 'Silent';
+}
+
+// Queue one PCM chunk for upload, tagged with the next sequence number
+function sendAudioChunk(id, chunk) {
+    vadState.lastUploadAt = Date.now();
+    if (rejectedAudioSessions.has(id)) return;
+    
+    audioUploadQueue.push({ id, seq: nextChunkSeq++, chunk, attempts: 0 });
+    
+    // Keep the newest audio if the connection stays down for long; the server
+    // skips the gap this leaves
+    if (audioUploadQueue.length > AUDIO_QUEUE_MAX_CHUNKS) {
+        audioUploadQueue.shift();
+    }
+    
+    drainAudioQueue();
+}
+
+// Start uploads from the front of the queue, a few at a time and paced so a
+// backlog replayed after a drop doesn't trip the server's rate limit
+function drainAudioQueue() {
+    if (audioQueueTimer) return;
+    
+    while (audioUploadQueue.length > 0 && activeChunkUploads.size < AUDIO_UPLOAD_CONCURRENCY) {
+        const wait = lastChunkUploadAt + AUDIO_UPLOAD_MIN_INTERVAL_MS - Date.now();
+        if (wait > 0) {
+            pauseAudioQueue(wait);
+            return;
+        }
+        
+        lastChunkUploadAt = Date.now();
+        uploadAudioChunk(audioUploadQueue.shift());
+    }
+    
+    if (audioUploadQueue.length === 0 && activeChunkUploads.size === 0 && audioQueueInterrupted) {
+        audioQueueInterrupted = false;
+        if (isStreaming) {
+            statusEl.textContent = 'Recording (streaming mode)...';
+        }
+    }
+    
+    notifyAudioQueueWaiters();
+}
+
+function pauseAudioQueue(delayMs) {
+    clearTimeout(audioQueueTimer);
+    audioQueueTimer = setTimeout(() => {
+        audioQueueTimer = null;
+        drainAudioQueue();
+    }, delayMs);
+}
+
+// Put a chunk that didn't get through back in sequence order, unless it has
+// been tried too often or its session no longer takes audio. Returns whether it was.
+function requeueAudioChunk(item) {
+    item.attempts++;
+    if (item.attempts >= AUDIO_UPLOAD_MAX_ATTEMPTS || rejectedAudioSessions.has(item.id)) {
+        console.error(`Giving up on audio chunk ${item.seq} after ${item.attempts} attempts`);
+        return false;
+    }
+    
+    const index = audioUploadQueue.findIndex(queued => queued.id === item.id && queued.seq > item.seq);
+    audioUploadQueue.splice(index === -1 ? audioUploadQueue.length : index, 0, item);
+    return true;
+}
+
+// Upload one queued chunk as a binary body
+async function uploadAudioChunk(item) {
+    const { id, seq, chunk } = item;
+    activeChunkUploads.add(item);
+    
+    try {
+        const response = await sessionFetch(id, `/api/streaming-proxy?sessionId=${encodeURIComponent(id)}&seq=${seq}&t=${chunk.captureTime.toFixed(3)}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/octet-stream'
+            },
+            body: chunk.buffer
+        });
+        
+        recordChunkUpload(response.ok);
+        
+        if (response.status === 429) {
+            // Over the chunk limit: wait it out rather than lose the audio, if the wait is short
+            const retryAfter = parseInt(response.headers.get('Retry-After'), 10);
+            if (retryAfter > 0 && retryAfter <= AUDIO_QUEUE_MAX_RETRY_AFTER_S) {
+                if (requeueAudioChunk(item)) {
+                    pauseAudioQueue(retryAfter * 1000);
+                }
+            } else {
+                console.error(`Dropping audio chunk ${seq}: rate limited without a short Retry-After`);
+            }
+        } else if (response.status === 401 || response.status === 403 || response.status === 410) {
+            // Ended, over the session limit or not authorized - retrying won't help
+            // The body is left for reportAccessError() to read
+            console.error(`Audio for session ${id} rejected (${response.status})`);
+            rejectAudioSession(id, response);
+        } else if (!response.ok) {
+            console.error('Error sending audio:', await response.text());
+        } else {
+            if (audioQueueInterrupted && audioUploadQueue.length > 0) {
+                statusEl.textContent = 'Connection back - catching up on buffered audio...';
+            }
+            
+            const result = await response.json();
+            setUpstreamState(result.upstream);
+            applyOriginals(id, result.originals);
+        }
+    } catch (error) {
+        // The request never reached the server: keep the chunk and retry later
+        console.error('Error sending audio to server:', error);
+        recordChunkUpload(false);
+        if (requeueAudioChunk(item)) {
+            pauseAudioQueue(AUDIO_QUEUE_RETRY_MS);
+        }
+        
+        if (!audioQueueInterrupted) {
+            audioQueueInterrupted = true;
+            statusEl.textContent = 'Connection lost - keeping your audio until it is back...';
+        }
+    } finally {
+        activeChunkUploads.delete(item);
+        drainAudioQueue();
+    }
+}
+
+// The server refused session `id` for good: drop its queued audio, and stop
+// recording if it is the current session
+async function rejectAudioSession(id, response) {
+    discardSessionAudio(id);
+    
+    if (id === sessionId && isRecording) {
+        stopRecording();
+        // Put the reason back in the status line stopRecording() reset
+        await reportAccessError(response);
+    }
+}
+
+function discardSessionAudio(id) {
+    rejectedAudioSessions.add(id);
+    audioUploadQueue = audioUploadQueue.filter(item => item.id !== id);
+    notifyAudioQueueWaiters();
+}
+
+// Resolves once every chunk of session `id` has been uploaded (or given up on)
+function waitForAudioQueue(id) {
+    return new Promise(resolve => {
+        audioQueueWaiters.push({ id, resolve });
+        notifyAudioQueueWaiters();
+    });
+}
+
+function notifyAudioQueueWaiters() {
+    audioQueueWaiters = audioQueueWaiters.filter(({ id, resolve }) => {
+        const hasChunks = audioUploadQueue.some(item => item.id === id) ||
+            Array.from(activeChunkUploads).some(item => item.id === id);
+        if (hasChunks) return true;
+        
+        resolve();
+        return false;
+    });
+}
+
+// Retry straight away when the browser says the network is back
+window.addEventListener('online', function() {
+    if (audioUploadQueue.length > 0) {
+        clearTimeout(audioQueueTimer);
+        audioQueueTimer = null;
+        drainAudioQueue();
+    }
+});
+
+// Hold the Deepgram stream open while nobody is speaking
+async function sendKeepAlive(id) {
+    vadState.lastUploadAt = Date.now();
+    
+    const result = await postSessionAction(id, 'keepalive');
+    if (result) {
+        setUpstreamState(result.upstream);
+        applyOriginals(id, result.originals);
+    }
+}
+
+// Flush the worklet's partial chunk, release the microphone, and end the
+// session once every chunk upload has settled
+function stopStreamingAudio(id) {
+    const node = audioCaptureNode;
+    const context = audioContext;
+    const stream = mediaStream;
+    let finished = false;
+    
+    const finish = () => {
+        if (finished) return;
+        finished = true;
+        
+        node.disconnect();
+        context.close();
+        stream.getTracks().forEach(track => track.stop());
+        if (vadIndicatorEl) {
+            vadIndicatorEl.classList.add('hidden');
+        }
+        
+        waitForAudioQueue(id).then(() => endStreamingSession(id));
+    };
+    
+    node.port.onmessage = (event) => {
+        if (event.data.type === 'chunk') {
+            handleCapturedChunk(id, event.data.buffer);
+        } else if (event.data.type === 'flushed') {
+            finish();
+        }
+    };
+    node.port.postMessage({ type: 'flush' });
+    
+    // Don't wait forever if the worklet never answers
+    setTimeout(finish, 1000);
+}
+
+// Ask the server to finish the session's Deepgram stream
+function endStreamingSession(id) {
+    return postSessionAction(id, 'end');
+}
+
+// POST a JSON action for session `id` with any extra fields, resolving with the
+// response body, or null if it failed (errors are logged)
+async function postSessionAction(id, action, fields = {}) {
+    try {
+        const response = await sessionFetch(id, '/api/streaming-proxy', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                ...fields,
+                sessionId: id,
+                action
+            })
+        });
+        
+        if (!response.ok) {
+            console.error(`Error in session action ${action}:`, await response.text());
+            return null;
+        }
+        
+        return await response.json();
+    } catch (error) {
+        console.error(`Error in session action ${action}:`, error);
+        return null;
+    }
+}
+
+// Record Opus/WebM next to the PCM capture so the session can be played back
+// later. It isn't paused for read-aloud, so it stays in step with capture time.
+function startAudioRetention(stream, record) {
+    const options = MediaRecorder.isTypeSupported('audio/webm;codecs=opus') ?
+        { mimeType: 'audio/webm;codecs=opus' } : {};
+    const recorder = new MediaRecorder(stream, options);
+    const chunks = [];
+    
+    recorder.ondataavailable = (event) => {
+        if (event.data.size > 0) {
+            chunks.push(event.data);
+        }
+    };
+    
+    recorder.onstop = () => {
+        retainSessionAudio(record, new Blob(chunks, { type: recorder.mimeType || 'audio/webm' }));
+    };
+    
+    recorder.start();
+    audioRetentionRecorder = recorder;
+}
+
+// Keep a session's recording in the history, once the session itself is saved
+// (an empty session never is)
+function retainSessionAudio(record, blob) {
+    if (!record || blob.size === 0) return;
+    
+    pendingSessionAudio.set(record, blob);
+    persistSessionRecord(record);
+}
+
 // Set up batch recording (fallback)
 function setupBatchRecording(stream) {
     mediaRecorder = new MediaRecorder(stream);
@@ -300,6 +984,11 @@ function setupBatchRecording(stream) {
         const audioBlob = new Blob(audioChunks);
         console.log('Recording stopped. Audio type:', audioBlob.type, 'Size:', audioBlob.size);
         
+        // Batch timings come from this same recording, so it can be kept as is
+        if (keepAudioEnabled) {
+            retainSessionAudio(sessionRecord, new Blob(audioChunks, { type: mediaRecorder.mimeType || 'audio/webm' }));
+        }
+        
         // Send for batch transcription
         sendForBatchTranscription(audioBlob);
         
@@ -321,6 +1010,9 @@ async function sendForBatchTranscription(audioBlob) {
     
     statusEl.textContent = 'Uploading and transcribing...';
     
+    // A new recording may have started by the time the result comes back
+    const record = sessionRecord;
+    
     try {
         const reader = new FileReader();
         reader.readAsDataURL(audioBlob);
@@ -335,7 +1027,9 @@ async function sendForBatchTranscription(audioBlob) {
                     'Content-Type': 'application/json'
                 },
                 body: JSON.stringify({
-                    audioData: base64Audio
+                    audioData: base64Audio,
+                    language: travellerLanguage,
+                    keepOriginal: keepOriginalEnabled
                 })
             });
             
@@ -347,8 +1041,18 @@ async function sendForBatchTranscription(audioBlob) {
             const responseData = await response.json();
             
             if (responseData.status === 'succeeded') {
+                speakerRoles = responseData.output.roles || {};
                 displayTranscription(responseData.output.segments);
                 displayAnalysis(responseData.output.llmAnalysis);
+                
+                if (record) {
+                    record.roles = { ...(responseData.output.roles || {}) };
+                    record.segments = responseData.output.segments || [];
+                    if (responseData.output.llmAnalysis) {
+                        record.analyses = [{ at: sessionDuration(record), analysis: responseData.output.llmAnalysis }];
+                    }
+                    persistSessionRecord(record);
+                }
                 statusEl.textContent = 'Transcription and analysis complete!';
             } else {
                 console.error('Transcription failed:', responseData.error);
@@ -365,21 +1069,42 @@ async function sendForBatchTranscription(audioBlob) {
 function handleTranscriptionMessage(message) {
     if (!message.data || message.data.sessionId !== sessionId) return;
     
-    console.log('Received transcription:', message.data);
-    
-    // Extract the speaker ID with a default of 0
-    const speakerId = message.data.speaker || 0;
+    const segments = (message.data.segments || []).map(segment => ({
+      text: segment.text,
+      speaker: segment.speaker || 0,
+      start: segment.start || 0,
+      end: segment.end || 0
+    }));
     
-    // Create segment object
-    const segment = {
-      text: message.data.text,
-      speaker: speakerId,
-      start: message.data.start || 0,
-      end: message.data.end || 0
-    };
+    if (message.data.isFinal) {
+        // Unredacted text may have come back before the final itself
+        const originalTexts = pendingOriginals.get(message.data.utteranceId);
+        if (originalTexts) {
+            pendingOriginals.delete(message.data.utteranceId);
+            segments.forEach((segment, index) => {
+                if (originalTexts[index] !== undefined) {
+                    segment.text = originalTexts[index];
+                }
+            });
+        }
+        
+        console.log('Received transcription:', message.data);
+        
+        if (practiceActive) {
+            // Only the student speaks in a practice interview (see practice-mode.js)
+            segments.forEach(segment => {
+                speakerRoles[segment.speaker] = 'traveller';
+            });
+            collectPracticeAnswer(segments);
+        } else {
+            // Interim diarization is unreliable, so only finals pick a speaker's role
+            assignSpeakerRoles(segments);
+        }
+        recordSegments(message.data.utteranceId, segments);
+    }
     
-    // Update the display with the new segment
-    updateTranscription([segment]);
+    // Update the display with the new segments
+    updateTranscription(message.data.utteranceId, message.data.isFinal, segments);
 }
 
 // Handle analysis messages from Ably
@@ -392,56 +1117,392 @@ function handleAnalysisMessage(message) {
         if (welcomeMessageEl) {
             welcomeMessageEl.classList.add('hidden');
         }
-        displayAnalysis(analysis);
+        // Deltas still in flight must not draw over the full analysis
+        if (streamingAnalysis && streamingAnalysis.id === message.data.analysisId) {
+            streamingAnalysis.finished = true;
+        }
+        displayAnalysis(analysis, { analysisId: message.data.analysisId });
+        
+        if (sessionRecord) {
+            sessionRecord.analyses.push({ at: (Date.now() - recordingStartTime) / 1000, analysis });
+            persistSessionRecord(sessionRecord);
+        }
     }
 }
 
-// Update the transcription display with new segments
-function updateTranscription(segments) {
-    if (!segments || segments.length === 0) return;
+// Emoji and message text of an analysis still being written, shown as they
+// arrive; the full analysis for the same analysisId follows
+function handleAnalysisDeltaMessage(message) {
+    const data = message.data;
+    if (!data || data.sessionId !== sessionId) return;
     
-    // Clear existing content if this is the first update
-    if (!transcriptionEl.hasChildNodes()) {
-        transcriptionEl.innerHTML = '';
+    if (!streamingAnalysis || streamingAnalysis.id !== data.analysisId) {
+        streamingAnalysis = { id: data.analysisId, emoji: null, message: '', finished: false };
+    }
+    if (streamingAnalysis.finished) return;
+    if (data.emoji) {
+        streamingAnalysis.emoji = data.emoji;
     }
+    streamingAnalysis.message += data.delta || '';
     
-    // Process each segment
-    segments.forEach(segment => {
-        // Check if we already have this segment based on time and text
-        const existingSegments = Array.from(transcriptionEl.querySelectorAll('.segment'));
-        const segmentExists = existingSegments.some(el => {
-            const start = parseFloat(el.dataset.start || 0);
-            const end = parseFloat(el.dataset.end || 0);
-            const text = el.querySelector('div:not(.segment-header)')?.textContent || '';
+    displayAnalysis(streamingAnalysis, { partial: true, analysisId: data.analysisId });
+}
+
+// Handle session lifecycle events from Ably
+function handleLifecycleMessage(message) {
+    if (!message.data || message.data.sessionId !== sessionId) return;
+    
+    console.log('Session lifecycle event:', message.data.state);
+    
+    switch (message.data.state) {
+        case 'started':
+            setUpstreamState('open');
+            statusEl.textContent = 'Recording (streaming mode)... transcription started';
+            break;
+        case 'ended':
+            if (!isRecording) {
+                statusEl.textContent = 'Recording stopped. Transcription complete.';
+            }
             
-            return Math.abs(start - segment.start) < 0.1 && 
-                  Math.abs(end - segment.end) < 0.1 && 
-                  text === segment.text;
+            // The last transcripts arrived after our final upload
+            if (keepOriginalEnabled) {
+                fetchOriginals(message.data.sessionId);
+            }
+            break;
+        case 'timed-out':
+            statusEl.textContent = isRecording ?
+                'Transcription paused after inactivity, resuming when you speak...' :
+                'Session closed after inactivity.';
+            break;
+        case 'max-duration':
+            discardSessionAudio(message.data.sessionId);
+            if (isRecording) {
+                stopRecording();
+            }
+            statusEl.textContent = 'Recording stopped: the session reached its maximum length.';
+            break;
+        case 'upstream-lost':
+            setUpstreamState('reconnecting');
+            statusEl.textContent = 'Transcription interrupted - reconnecting, your audio is kept...';
+            break;
+        case 'resumed':
+            setUpstreamState('open');
+            statusEl.textContent = 'Transcription reconnected.';
+            break;
+        case 'upstream-failed':
+            // The next chunk we upload opens a fresh stream
+            setUpstreamState('reconnecting');
+            statusEl.textContent = isRecording ?
+                'Transcription could not reconnect - retrying when you speak...' :
+                'Transcription stopped: the speech-to-text service could not be reached.';
+            break;
+    }
+}
+
+// Work out the roles of the voices in a transcript the first time we hear them.
+// While enrollment is active the traveller is whoever says the most in the next
+// transcript, so a quick word from the officer in the same result can't take
+// the label; otherwise assume the officer speaks first (they open the interview)
+// and the next new voice is the traveller.
+function assignSpeakerRoles(segments) {
+    if (segments.length === 0) return;
+    
+    if (enrollmentDeadline) {
+        const enrolling = Date.now() <= enrollmentDeadline;
+        enrollmentDeadline = 0;
+        enrollBtn.classList.remove('active');
+        
+        if (enrolling) {
+            setTravellerSpeaker(mostWordsSpeaker(segments));
+            statusEl.textContent = 'Got it - your voice is labelled "Traveller"';
+        }
+    }
+    
+    let assigned = false;
+    segments.forEach(segment => {
+        if (segment.speaker in speakerRoles) return;
+        
+        const assignedRoles = Object.values(speakerRoles);
+        if (!assignedRoles.includes('officer')) {
+            speakerRoles[segment.speaker] = 'officer';
+        } else if (!assignedRoles.includes('traveller')) {
+            speakerRoles[segment.speaker] = 'traveller';
+        } else {
+            // More voices than roles - leave this one unassigned
+            return;
+        }
+        assigned = true;
+    });
+    
+    if (assigned) {
+        sendRoleMapping();
+    }
+}
+
+// The speaker who said the most words across `segments`
+function mostWordsSpeaker(segments) {
+    const wordCounts = {};
+    segments.forEach(segment => {
+        wordCounts[segment.speaker] = (wordCounts[segment.speaker] || 0) + segment.text.split(/\s+/).filter(Boolean).length;
+    });
+    
+    let speaker = segments[0].speaker;
+    segments.forEach(segment => {
+        if (wordCounts[segment.speaker] > wordCounts[speaker]) {
+            speaker = segment.speaker;
+        }
+    });
+    return speaker;
+}
+
+// "Tap when you are speaking": the voice in the next transcript is the traveller
+function startEnrollment() {
+    enrollmentDeadline = Date.now() + ENROLLMENT_WINDOW_MS;
+    enrollBtn.classList.add('active');
+    statusEl.textContent = 'Listening for your voice...';
+}
+
+function setTravellerSpeaker(speakerId) {
+    enrollBtn.classList.remove('active');
+    
+    // Everyone else we've heard is treated as the officer
+    Object.keys(speakerRoles).forEach(id => {
+        speakerRoles[id] = 'officer';
+    });
+    speakerRoles[speakerId] = 'traveller';
+    
+    sendRoleMapping();
+    relabelSegments();
+    persistSessionRecord(sessionRecord);
+}
+
+function swapRoles() {
+    Object.keys(speakerRoles).forEach(id => {
+        speakerRoles[id] = speakerRoles[id] === 'officer' ? 'traveller' : 'officer';
+    });
+    
+    sendRoleMapping();
+    relabelSegments();
+    persistSessionRecord(sessionRecord);
+    statusEl.textContent = 'Officer and traveller swapped';
+}
+
+// Tell the server which speaker is which so the analysis prompt uses role labels
+function sendRoleMapping() {
+    return postSessionAction(sessionId, 'roles', { roles: speakerRoles });
+}
+
+// Tell the server which language to explain the officer's questions in
+function sendLanguage() {
+    return postSessionAction(sessionId, 'language', { language: travellerLanguage });
+}
+
+// Tell the server whether to return unredacted transcripts to this device
+function sendRedactionSetting() {
+    return postSessionAction(sessionId, 'redaction', { keepOriginal: keepOriginalEnabled });
+}
+
+// Tell the server whether this is a practice interview, which it doesn't analyze
+function sendSessionMode() {
+    return postSessionAction(sessionId, 'mode', { mode: practiceActive ? 'practice' : 'interview' });
+}
+
+// Collect unredacted text the server is still holding for an ended session
+async function fetchOriginals(id) {
+    const result = await postSessionAction(id, 'originals');
+    if (result) {
+        applyOriginals(id, result.originals);
+    }
+}
+
+// Swap the redacted text of finished utterances for the originals, on screen
+// and in the session saved on this device
+function applyOriginals(id, originals) {
+    if (!originals || originals.length === 0 || id !== sessionId) return;
+    
+    originals.forEach(({ utteranceId, texts }) => {
+        const recordedSegments = sessionRecord ?
+            sessionRecord.segments.filter(segment => segment.utteranceId === utteranceId) : [];
+        
+        // Apply it when the final transcript arrives
+        if (recordedSegments.length === 0) {
+            pendingOriginals.set(utteranceId, texts);
+            return;
+        }
+        
+        recordedSegments.forEach((segment, index) => {
+            if (texts[index] !== undefined) {
+                segment.text = texts[index];
+            }
+        });
+        
+        const segmentDivs = transcriptionEl.querySelectorAll(`.segment[data-utterance-id="${utteranceId}"]`);
+        segmentDivs.forEach((segmentDiv, index) => {
+            if (texts[index] !== undefined) {
+                renderSegmentText(segmentDiv.querySelector('.segment-text'), texts[index], parseInt(segmentDiv.dataset.speaker, 10));
+            }
         });
+    });
+    
+    persistSessionRecord(sessionRecord);
+}
+
+function speakerName(speakerId) {
+    if (speakerRoles[speakerId] === 'officer') return 'Officer';
+    if (speakerRoles[speakerId] === 'traveller') return 'Traveller (you)';
+    return `Speaker ${speakerId}`;
+}
+
+function speakerClass(speakerId) {
+    const role = speakerRoles[speakerId];
+    return role ? `role-${role}` : `speaker-${speakerId % 2}`;
+}
+
+// Refresh segment labels and colours after the role mapping changes
+function relabelSegments() {
+    transcriptionEl.querySelectorAll('.segment').forEach(segmentDiv => {
+        const speakerId = parseInt(segmentDiv.dataset.speaker, 10);
+        if (Number.isNaN(speakerId)) return;
+        
+        segmentDiv.classList.remove('speaker-0', 'speaker-1', 'role-officer', 'role-traveller');
+        segmentDiv.classList.add(speakerClass(speakerId));
+        
+        const start = parseFloat(segmentDiv.dataset.start || 0);
+        const end = parseFloat(segmentDiv.dataset.end || 0);
+        const headerDiv = segmentDiv.querySelector('.segment-header');
+        headerDiv.textContent = `${speakerName(speakerId)} (${formatTime(start)} - ${formatTime(end)})`;
         
-        if (!segmentExists) {
-            const segmentDiv = document.createElement('div');
-            const speakerId = segment.speaker;
-            segmentDiv.className = `segment speaker-${speakerId % 2}`;
-            segmentDiv.dataset.start = segment.start;
-            segmentDiv.dataset.end = segment.end;
+        // Only the officer's lines are highlighted, so roles decide the terms
+        const textDiv = segmentDiv.querySelector('.segment-text');
+        renderSegmentText(textDiv, textDiv.textContent, speakerId);
+    });
+}
+
+// Set a segment's text, highlighting glossary terms (see glossary.js) in what
+// the officer says so the traveller can tap them for an explanation
+function renderSegmentText(textDiv, text, speakerId) {
+    textDiv.textContent = '';
+    
+    const matches = speakerRoles[speakerId] === 'officer' ? glossary.findGlossaryTerms(text) : [];
+    let position = 0;
+    
+    matches.forEach(({ entry, index, length }) => {
+        textDiv.appendChild(document.createTextNode(text.slice(position, index)));
+        textDiv.appendChild(createGlossaryTermButton(entry.term, text.slice(index, index + length)));
+        position = index + length;
+    });
+    
+    textDiv.appendChild(document.createTextNode(text.slice(position)));
+}
+
+function createGlossaryTermButton(term, label) {
+    const termEl = document.createElement('button');
+    termEl.type = 'button';
+    termEl.className = 'glossary-term';
+    termEl.dataset.term = term;
+    termEl.textContent = label;
+    return termEl;
+}
+
+// Explain a tapped term next to it, in English and the traveller's language
+function showGlossaryPopover(termEl) {
+    const entry = glossary.getGlossaryEntry(termEl.dataset.term);
+    if (!entry) return;
+    
+    glossaryPopoverEl.innerHTML = '';
+    
+    const titleEl = document.createElement('p');
+    titleEl.className = 'glossary-popover-term';
+    titleEl.textContent = entry.term;
+    glossaryPopoverEl.appendChild(titleEl);
+    
+    const definitionEl = document.createElement('p');
+    definitionEl.textContent = entry.definition;
+    glossaryPopoverEl.appendChild(definitionEl);
+    
+    const translation = entry.translations[travellerLanguage];
+    if (translation) {
+        const translationEl = document.createElement('p');
+        translationEl.className = 'native-explanation';
+        translationEl.lang = travellerLanguage;
+        translationEl.textContent = translation;
+        glossaryPopoverEl.appendChild(translationEl);
+    }
+    
+    // Below the term, kept inside the viewport
+    glossaryPopoverEl.classList.remove('hidden');
+    const termRect = termEl.getBoundingClientRect();
+    const popoverWidth = glossaryPopoverEl.offsetWidth;
+    const left = Math.max(8, Math.min(termRect.left, window.innerWidth - popoverWidth - 8));
+    glossaryPopoverEl.style.left = `${left}px`;
+    glossaryPopoverEl.style.top = `${termRect.bottom + 6}px`;
+}
+
+function hideGlossaryPopover() {
+    glossaryPopoverEl.classList.add('hidden');
+}
+
+// One listener for every highlighted term, wherever it is rendered
+document.addEventListener('click', function(event) {
+    const termEl = event.target.closest('.glossary-term');
+    if (termEl) {
+        showGlossaryPopover(termEl);
+    } else if (!glossaryPopoverEl.contains(event.target)) {
+        hideGlossaryPopover();
+    }
+});
+
+// A fixed popover would drift away from its term
+transcriptionEl.addEventListener('scroll', hideGlossaryPopover);
+
+// Show one utterance's per-speaker segments. Interim segments are shown greyed out
+// and replaced in place by the final segments with the same utterance ID.
+function updateTranscription(utteranceId, isFinal, segments) {
+    const existingDivs = Array.from(transcriptionEl.querySelectorAll(`.segment[data-utterance-id="${utteranceId}"]`));
+    
+    // A later hypothesis may split the utterance between fewer speakers, and a
+    // final with no segments means the interim words turned out to be noise
+    existingDivs.slice(segments.length).forEach(segmentDiv => segmentDiv.remove());
+    
+    segments.forEach((segment, index) => {
+        let segmentDiv = existingDivs[index];
+        
+        if (!segmentDiv) {
+            segmentDiv = document.createElement('div');
+            segmentDiv.dataset.utteranceId = utteranceId;
             
-            const timeStr = formatTime(segment.start) + ' - ' + formatTime(segment.end);
             const headerDiv = document.createElement('div');
             headerDiv.className = 'segment-header';
-            headerDiv.textContent = `Speaker ${speakerId} (${timeStr})`;
             
             const textDiv = document.createElement('div');
-            textDiv.textContent = segment.text;
+            textDiv.className = 'segment-text';
             
             segmentDiv.appendChild(headerDiv);
             segmentDiv.appendChild(textDiv);
-            transcriptionEl.appendChild(segmentDiv);
             
-            // Scroll to the bottom to show latest text
-            transcriptionEl.scrollTop = transcriptionEl.scrollHeight;
+            // Keep the utterance's segments together, in speaking order
+            const previousDiv = index > 0 ? existingDivs[index - 1] : null;
+            if (previousDiv) {
+                previousDiv.after(segmentDiv);
+            } else {
+                transcriptionEl.appendChild(segmentDiv);
+            }
+            existingDivs[index] = segmentDiv;
         }
+        
+        const speakerId = segment.speaker;
+        segmentDiv.className = `segment ${speakerClass(speakerId)}${isFinal ? '' : ' interim'}`;
+        segmentDiv.dataset.speaker = speakerId;
+        segmentDiv.dataset.start = segment.start;
+        segmentDiv.dataset.end = segment.end;
+        
+        const timeStr = formatTime(segment.start) + ' - ' + formatTime(segment.end);
+        segmentDiv.querySelector('.segment-header').textContent = `${speakerName(speakerId)} (${timeStr})`;
+        renderSegmentText(segmentDiv.querySelector('.segment-text'), segment.text, speakerId);
     });
+    
+    // Scroll to the bottom to show latest text
+    transcriptionEl.scrollTop = transcriptionEl.scrollHeight;
 }
 
 // Display full transcription segments (for batch processing)
@@ -456,15 +1517,19 @@ function displayTranscription(segments) {
     segments.forEach(segment => {
         const segmentDiv = document.createElement('div');
         const speakerId = segment.speaker;
-        segmentDiv.className = `segment speaker-${speakerId % 2}`;
+        segmentDiv.className = `segment ${speakerClass(speakerId)}`;
+        segmentDiv.dataset.speaker = speakerId;
+        segmentDiv.dataset.start = segment.start;
+        segmentDiv.dataset.end = segment.end;
         
         const timeStr = formatTime(segment.start) + ' - ' + formatTime(segment.end);
         const headerDiv = document.createElement('div');
         headerDiv.className = 'segment-header';
-        headerDiv.textContent = `Speaker ${speakerId} (${timeStr})`;
+        headerDiv.textContent = `${speakerName(speakerId)} (${timeStr})`;
         
         const textDiv = document.createElement('div');
-        textDiv.textContent = segment.text;
+        textDiv.className = 'segment-text';
+        renderSegmentText(textDiv, segment.text, speakerId);
         
         segmentDiv.appendChild(headerDiv);
         segmentDiv.appendChild(textDiv);
@@ -472,91 +1537,52 @@ function displayTranscription(segments) {
     });
 }
 
-// Display LLM analysis
-// Update the displayAnalysis function in streaming-script.js
-
-// Update the displayAnalysis function in streaming-script.js
-
-function displayAnalysis(analysisText) {
+// Display LLM analysis (an object validated against the server's schema). With
+// `partial`, only the emoji and the message written so far are shown, updated
+// in place as more arrives; the full analysis with the same analysisId then
+// replaces them without flashing again.
+function displayAnalysis(analysis, { partial = false, analysisId = null } = {}) {
     if (!analysisEl) {
         console.log('Analysis element not found');
         return;
     }
     
-    if (!analysisText) {
+    if (partial) {
+        displayPartialAnalysis(analysis, analysisId);
+        return;
+    }
+    
+    // Already flashed while it was being written
+    const alreadyShown = analysisId !== null && analysisId === partialAnalysisId;
+    partialAnalysisId = null;
+    partialMessageEl = null;
+    
+    if (!analysis) {
         analysisEl.textContent = 'No analysis available';
         analysisConsoleEl.textContent = 'No analysis metadata available';
         return;
     }
     
-    console.log("Raw analysis text:", analysisText);
+    console.log("Analysis:", analysis);
     
-    // Extract sections using the format markers (assuming you implemented the structured format)
-    // This code works with either the old or new format
+    const emoji = analysis.emoji;
+    const displayText = analysis.message;
+    const translationText = analysis.explanation || '';
+    const replyText = analysis.suggestedReply || '';
     
-    // Extract the analysis metadata and output sections
-    let consoleText = '';
-    let displayText = analysisText;
-    let emoji = '';
-    
-    // First, identify if there's an ---ANALYSIS--- marker (new format)
-    if (analysisText.includes('---ANALYSIS---')) {
-        const analysisParts = analysisText.split('---ANALYSIS---')[1]?.split('---EMOJI---')[0]?.trim() || '';
-        const emojiParts = analysisText.split('---EMOJI---')[1]?.split('---MESSAGE---')[0]?.trim() || '';
-        const messageParts = analysisText.split('---MESSAGE---')[1]?.trim() || '';
-        
-        consoleText = analysisParts;
-        displayText = messageParts;
-        emoji = emojiParts.trim();
-    }
-    else {
-        // Use the old parsing logic as fallback
-        const outputSplit = analysisText.split(/Output:/i);
-        
-        if (outputSplit.length > 1) {
-            consoleText = outputSplit[0].trim();
-            displayText = outputSplit[1].trim();
-        } else {
-            // If no Output: marker, try to separate based on common patterns
-            const analysisSplit = analysisText.match(/\*\*Analysis:\*\*([\s\S]*?)(?:\*\*|$)/i);
-            
-            if (analysisSplit) {
-                consoleText = analysisText;
-                
-                // Try to find the actual message after all the analysis sections
-                const messageParts = analysisText.split(/\*\*$/m);
-                if (messageParts.length > 1) {
-                    // Get the last non-empty part as the message
-                    for (let i = messageParts.length - 1; i >= 0; i--) {
-                        if (messageParts[i].trim()) {
-                            displayText = messageParts[i].trim();
-                            break;
-                        }
-                    }
-                }
-            }
-        }
-        
-        // Extract emoji - look for it at the beginning of the display text
-        const emojiMatch = displayText.match(/^(\[[^\]]+\]|\p{Emoji_Presentation}|\p{Emoji}\uFE0F)/um);
-        
-        if (emojiMatch) {
-            emoji = emojiMatch[0];
-            displayText = displayText.replace(emojiMatch[0], '').trim();
-        } else {
-            // If no emoji at the start, check throughout the text
-            const anyEmojiMatch = displayText.match(/(\[[^\]]+\]|\p{Emoji_Presentation}|\p{Emoji}\uFE0F)/u);
-            if (anyEmojiMatch) {
-                emoji = anyEmojiMatch[0];
-                displayText = displayText.replace(anyEmojiMatch[0], '').trim();
-            }
-        }
-    }
+    // The console shows the model's reading of the situation
+    const consoleText = [
+        `Speaker: ${analysis.speakerRole}`,
+        `Tone: ${analysis.tone}`,
+        `Confidence: ${Math.round(analysis.confidence * 100)}%`,
+        '',
+        analysis.notes
+    ].join('\n');
     
     // Update emoji display
     emojiDisplayEl.textContent = emoji || '😊'; // Default emoji if none found
     
-    // Update console display - keep the raw format including asterisks
+    // Update console display
     analysisConsoleEl.textContent = consoleText || 'No analysis metadata available';
     
     // Hide welcome message when analysis is displayed
@@ -570,16 +1596,57 @@ function displayAnalysis(analysisText) {
     // Add the display text with blinking animation
     if (displayText.trim()) {
         const pEl = document.createElement('p');
-        pEl.className = 'highlight-new-message'; // Add highlight class for blinking
         pEl.textContent = displayText.trim();
         analysisEl.appendChild(pEl);
         
-        // Remove the highlight class after animation completes
-        setTimeout(() => {
-            pEl.classList.remove('highlight-new-message');
-        }, 1500); // Animation duration: 0.7s * 2 = 1.4s (added a small buffer)
+        if (!alreadyShown) {
+            highlightNewMessage(pEl);
+        }
+    }
+    
+    // What the officer asked, in the traveller's own language
+    if (translationText) {
+        const translationEl = document.createElement('p');
+        translationEl.className = 'native-explanation';
+        translationEl.lang = travellerLanguage;
+        translationEl.textContent = translationText;
+        analysisEl.appendChild(translationEl);
+    }
+    
+    // What the traveller could say back, in English
+    if (replyText) {
+        const replyEl = document.createElement('p');
+        replyEl.className = 'suggested-reply';
+        
+        const labelEl = document.createElement('span');
+        labelEl.className = 'suggested-reply-label';
+        labelEl.textContent = 'You can say:';
+        
+        replyEl.appendChild(labelEl);
+        replyEl.appendChild(document.createTextNode(` "${replyText}"`));
+        analysisEl.appendChild(replyEl);
+    }
+    
+    // Glossary entries the explanation relies on, tappable like in the transcript
+    const glossaryTerms = (analysis.glossaryTerms || []).filter(term => glossary.getGlossaryEntry(term));
+    if (glossaryTerms.length > 0) {
+        const termsEl = document.createElement('p');
+        termsEl.className = 'glossary-citations';
+        
+        const labelEl = document.createElement('span');
+        labelEl.className = 'glossary-citations-label';
+        labelEl.textContent = 'Terms used:';
+        termsEl.appendChild(labelEl);
+        
+        glossaryTerms.forEach(term => {
+            termsEl.appendChild(document.createTextNode(' '));
+            termsEl.appendChild(createGlossaryTermButton(term, term));
+        });
+        analysisEl.appendChild(termsEl);
     }
     
+    speakAnalysis(displayText.trim(), translationText);
+    
     console.log("Processed analysis:", {
         emoji: emoji,
         consoleText: consoleText.substring(0, 100) + "...", // Log first 100 chars
@@ -587,6 +1654,241 @@ function displayAnalysis(analysisText) {
     });
 }
 
+// The emoji as soon as it is known, and the message growing as it is written
+function displayPartialAnalysis(analysis, analysisId) {
+    if (analysis.emoji) {
+        emojiDisplayEl.textContent = analysis.emoji;
+    }
+    
+    if (welcomeMessageEl) {
+        welcomeMessageEl.classList.add('hidden');
+    }
+    
+    // A new analysis replaces the previous one on screen
+    if (analysisId !== partialAnalysisId || !partialMessageEl) {
+        partialAnalysisId = analysisId;
+        analysisEl.innerHTML = '';
+        
+        partialMessageEl = document.createElement('p');
+        analysisEl.appendChild(partialMessageEl);
+        highlightNewMessage(partialMessageEl);
+    }
+    
+    partialMessageEl.textContent = analysis.message;
+}
+
+function highlightNewMessage(messageEl) {
+    messageEl.classList.add('highlight-new-message'); // Add highlight class for blinking
+    
+    // Remove the highlight class after animation completes
+    setTimeout(() => {
+        messageEl.classList.remove('highlight-new-message');
+    }, 1500); // Animation duration: 0.7s * 2 = 1.4s (added a small buffer)
+}
+
+// Read the message (and the native-language explanation) aloud if enabled
+function speakAnalysis(messageText, translationText) {
+    if (!speechPlaybackEnabled || !window.speechSynthesis) return;
+    
+    // Newer advice replaces anything still being read
+    cancelSpeech();
+    
+    const utterances = [];
+    if (messageText) {
+        utterances.push(createUtterance(messageText, 'en'));
+    }
+    if (translationText && travellerLanguage !== 'en') {
+        utterances.push(createUtterance(translationText, travellerLanguage));
+    }
+    
+    speakUtterances(utterances);
+}
+
+// Speak with capture paused so we don't transcribe ourselves. Resolves once
+// these utterances have finished and capture has resumed.
+function speakUtterances(utterances) {
+    return new Promise(resolve => {
+        let remaining = utterances.length;
+        if (remaining === 0) {
+            resolve();
+            return;
+        }
+        
+        utterances.forEach(utterance => {
+            let finished = false;
+            const onFinished = () => {
+                if (finished) return;
+                finished = true;
+                speechFinishers.delete(onFinished);
+                activeUtterances--;
+                remaining--;
+                
+                // Give the speaker's tail a moment to die out before listening again
+                setTimeout(() => {
+                    if (activeUtterances === 0) resumeCapture();
+                    if (remaining === 0) resolve();
+                }, 300);
+            };
+            utterance.onend = onFinished;
+            utterance.onerror = onFinished;
+            
+            speechFinishers.add(onFinished);
+            activeUtterances++;
+            pauseCapture();
+            window.speechSynthesis.speak(utterance);
+        });
+    });
+}
+
+// Stop reading aloud. Browsers often fire neither onend nor onerror for
+// utterances cancelled before they started, so finish them here rather than
+// leave capture paused waiting for events that never come.
+function cancelSpeech() {
+    window.speechSynthesis.cancel();
+    speechFinishers.forEach(finish => finish());
+}
+
+function createUtterance(text, language) {
+    const utterance = new SpeechSynthesisUtterance(text);
+    utterance.lang = SPEECH_LOCALES[language] || language;
+    utterance.rate = speechSettings.rate;
+    
+    // The chosen voice is for English; other languages use the best match for their locale
+    const voices = window.speechSynthesis.getVoices();
+    const voice = language === 'en' ?
+        voices.find(v => v.voiceURI === speechSettings.voiceURI) :
+        voices.find(v => v.lang.replace('_', '-').startsWith(language));
+    if (voice) {
+        utterance.voice = voice;
+    }
+    
+    return utterance;
+}
+
+// Stop uploading (or recording) audio while the app is talking
+function pauseCapture() {
+    if (isCapturePaused) return;
+    isCapturePaused = true;
+    
+    if (mediaRecorder && mediaRecorder.state === 'recording') {
+        mediaRecorder.pause();
+    }
+    
+    // Whatever was in progress before playback is finished
+    if (vadState) {
+        vadState.speaking = false;
+        vadState.preRoll = [];
+        setVadIndicator(false);
+    }
+}
+
+function resumeCapture() {
+    if (!isCapturePaused) return;
+    isCapturePaused = false;
+    
+    if (mediaRecorder && mediaRecorder.state === 'paused') {
+        mediaRecorder.resume();
+    }
+}
+
+function setSpeechPlayback(enabled) {
+    speechPlaybackEnabled = enabled && !!window.speechSynthesis;
+    speakToggleBtn.classList.toggle('active', speechPlaybackEnabled);
+    speakToggleBtn.setAttribute('aria-pressed', speechPlaybackEnabled);
+    speakToggleBtn.textContent = speechPlaybackEnabled ? '🔊' : '🔇';
+    
+    if (!speechPlaybackEnabled && window.speechSynthesis) {
+        cancelSpeech();
+    }
+}
+
+function loadSpeechSettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(SPEECH_SETTINGS_STORAGE_KEY));
+        if (saved) {
+            return { voiceURI: saved.voiceURI || '', rate: saved.rate || 1 };
+        }
+    } catch (error) {
+        console.error('Error loading speech settings:', error);
+    }
+    return { voiceURI: '', rate: 1 };
+}
+
+function saveSpeechSettings() {
+    localStorage.setItem(SPEECH_SETTINGS_STORAGE_KEY, JSON.stringify(speechSettings));
+}
+
+// Fill the voice picker with English voices (the list loads asynchronously in most browsers)
+function populateVoiceSelect() {
+    const voices = window.speechSynthesis.getVoices().filter(voice => voice.lang.startsWith('en'));
+    voiceSelect.innerHTML = '';
+    
+    const defaultOption = document.createElement('option');
+    defaultOption.value = '';
+    defaultOption.textContent = 'Default';
+    voiceSelect.appendChild(defaultOption);
+    
+    voices.forEach(voice => {
+        const option = document.createElement('option');
+        option.value = voice.voiceURI;
+        option.textContent = `${voice.name} (${voice.lang})`;
+        voiceSelect.appendChild(option);
+    });
+    
+    voiceSelect.value = speechSettings.voiceURI;
+}
+
+function createSessionRecord(id, mode) {
+    return {
+        id,
+        mode,
+        language: travellerLanguage,
+        startedAt: recordingStartTime,
+        endedAt: null,
+        roles: {},
+        segments: [],
+        analyses: [],
+        hasAudio: false
+    };
+}
+
+// Keep the final segments of a streamed utterance in the session record
+function recordSegments(utteranceId, segments) {
+    if (!sessionRecord) return;
+    
+    sessionRecord.segments = sessionRecord.segments
+        .filter(segment => segment.utteranceId !== utteranceId)
+        .concat(segments.map(segment => ({ utteranceId, ...segment })));
+    persistSessionRecord(sessionRecord);
+}
+
+// Save a session to the history once it has something worth keeping, then
+// its recording if one is waiting
+async function persistSessionRecord(record) {
+    if (!record || (record.segments.length === 0 && record.analyses.length === 0)) return;
+    
+    syncSessionRecord(record);
+    
+    const audio = pendingSessionAudio.get(record);
+    if (audio) {
+        record.hasAudio = true;
+    }
+    
+    const saved = await saveSessionRecord(record);
+    if (!saved || !audio || pendingSessionAudio.get(record) !== audio) return;
+    
+    pendingSessionAudio.delete(record);
+    await saveSessionAudio(record.id, audio);
+}
+
+// Role and language changes apply to the session in progress
+function syncSessionRecord(record) {
+    if (record === sessionRecord && record.mode === 'streaming') {
+        record.roles = { ...speakerRoles };
+        record.language = travellerLanguage;
+    }
+}
+
 // Show loading indicator
 function showLoadingIndicator() {
     if (emojiDisplayEl) {
@@ -617,6 +1919,11 @@ function generateUniqueId() {
     return 'session-' + Date.now() + '-' + Math.random().toString(36).substring(2, 9);
 }
 
+// Must match the channel naming in api/streaming-proxy.js
+function sessionChannelName(id, kind) {
+    return `session:${id}:${kind}`;
+}
+
 function loadScript(url) {
     return new Promise((resolve, reject) => {
         const script = document.createElement('script');
@@ -627,28 +1934,6 @@ function loadScript(url) {
     });
 }
 
-// Convert Float32Array to Int16Array (required format for Deepgram)
-function convertFloat32ToInt16(float32Array) {
-    const int16Array = new Int16Array(float32Array.length);
-    for (let i = 0; i < float32Array.length; i++) {
-        // Convert to 16-bit PCM
-        const s = Math.max(-1, Math.min(1, float32Array[i]));
-        int16Array[i] = s < 0 ? s * 0x8000 : s * 0x7FFF;
-    }
-    return int16Array;
-}
-
-// Convert ArrayBuffer to base64 string for transmission
-function arrayBufferToBase64(buffer) {
-    let binary = '';
-    const bytes = new Uint8Array(buffer);
-    const len = bytes.byteLength;
-    for (let i = 0; i < len; i++) {
-        binary += String.fromCharCode(bytes[i]);
-    }
-    return window.btoa(binary);
-}
-
 // Update the clock in the navbar
 function updateClock() {
     const now = new Date();
@@ -665,8 +1950,12 @@ function updateClock() {
     }
 }
 
-// Initialize clock on page load
+// Once every script has loaded: connect to Ably and start the clock
 document.addEventListener('DOMContentLoaded', function() {
+    // Not before: Ably's callbacks use handlers from scripts loaded after this one
+    // (connection-health.js, document-checklist.js)
+    initializeAbly();
+    
     // Initial clock update
     updateClock();
     
@@ -677,4 +1966,14 @@ document.addEventListener('DOMContentLoaded', function() {
     if (stopBtn) {
         stopBtn.disabled = true;
     }
+    
+    // Set up read-aloud controls
+    rateInput.value = speechSettings.rate;
+    rateValueEl.textContent = `${speechSettings.rate.toFixed(1)}x`;
+    if (window.speechSynthesis) {
+        populateVoiceSelect();
+        window.speechSynthesis.addEventListener('voiceschanged', populateVoiceSelect);
+    } else {
+        speakToggleBtn.disabled = true;
+    }
 });
\ No newline at end of file